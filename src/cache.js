@@ -0,0 +1,266 @@
+// Caches fetched and local wasm binaries, and the modules compiled from them,
+// for the `cache` option of Emlite. Entries remember the bridge version they were
+// stored under: they are dropped when Emlite is upgraded, and by Emlite when
+// the module's emlite_target() doesn't match it.
+
+const META_SUFFIX = ".json";
+
+const nodeFs = () =>
+  import(/* webpackIgnore: true */ /* @vite-ignore */ "node:fs/promises");
+
+// Node 18 only has Web Crypto under node:crypto
+const subtle = async () =>
+  globalThis.crypto?.subtle ??
+  (await import(/* webpackIgnore: true */ /* @vite-ignore */ "node:crypto"))
+    .webcrypto.subtle;
+
+async function sha256(bytes) {
+  const digest = await (await subtle()).digest("SHA-256", bytes);
+  return [...new Uint8Array(digest)]
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+// Cache Storage, in browsers, workers and Deno
+class CacheStorageStore {
+  constructor(name) {
+    this._cache = caches.open(name);
+  }
+
+  async get(key) {
+    const res = await (await this._cache).match(key);
+    if (!res) return null;
+    const meta = JSON.parse(res.headers.get("x-emlite-meta") ?? "null");
+    return meta && { bytes: await res.arrayBuffer(), meta };
+  }
+
+  async put(key, bytes, meta) {
+    await (
+      await this._cache
+    ).put(
+      key,
+      new Response(bytes, {
+        headers: {
+          "content-type": "application/wasm",
+          "x-emlite-meta": JSON.stringify(meta),
+        },
+      })
+    );
+  }
+
+  async delete(key) {
+    await (await this._cache).delete(key);
+  }
+}
+
+// A directory with `<sha256 of key>.wasm` and its `.json` metadata
+class DirectoryStore {
+  constructor(dir) {
+    this._dir = String(dir).replace(/[\\/]+$/, "");
+    this._fs = nodeFs();
+  }
+
+  async _path(key) {
+    return `${this._dir}/${await sha256(new TextEncoder().encode(key))}`;
+  }
+
+  async get(key) {
+    const fs = await this._fs;
+    const path = await this._path(key);
+    try {
+      const meta = JSON.parse(await fs.readFile(path + META_SUFFIX, "utf8"));
+      const buf = await fs.readFile(path + ".wasm");
+      return {
+        bytes: buf.buffer.slice(
+          buf.byteOffset,
+          buf.byteOffset + buf.byteLength
+        ),
+        meta,
+      };
+    } catch {
+      return null;
+    }
+  }
+
+  async put(key, bytes, meta) {
+    const fs = await this._fs;
+    const path = await this._path(key);
+    await fs.mkdir(this._dir, { recursive: true });
+    await fs.writeFile(path + ".wasm", new Uint8Array(bytes));
+    // Written last, so an entry without metadata is never read
+    await fs.writeFile(path + META_SUFFIX, JSON.stringify({ key, ...meta }));
+  }
+
+  async delete(key) {
+    const fs = await this._fs;
+    const path = await this._path(key);
+    await fs.rm(path + META_SUFFIX, { force: true });
+    await fs.rm(path + ".wasm", { force: true });
+  }
+}
+
+class MemoryStore {
+  constructor() {
+    this._entries = new Map();
+  }
+
+  async get(key) {
+    return this._entries.get(key) ?? null;
+  }
+
+  async put(key, bytes, meta) {
+    this._entries.set(key, { bytes, meta });
+  }
+
+  async delete(key) {
+    this._entries.delete(key);
+  }
+}
+
+// load() result for a usable entry
+const hit = (entry) => ({
+  bytes: entry.bytes,
+  hash: entry.meta.hash,
+  target: entry.meta.target,
+  cached: true,
+});
+
+/**
+ * Cache of wasm binaries fetched from http(s) URLs, revalidated with their
+ * ETag, and of local files, revalidated with their size and modification
+ * time, plus the modules compiled from them in this process, by content hash.
+ * Pass it as the `cache` option of Emlite (or Emlite.instantiate).
+ */
+export class ModuleCache {
+  /**
+   * @param {Object} opts
+   *        {
+   *          name?:       string,  // Cache Storage name (default "emlite")
+   *          dir?:        string,  // cache directory, used instead of Cache Storage
+   *          revalidate?: boolean, // ask the server whether an entry is fresh (default true)
+   *        }
+   * Without `dir`, Cache Storage is used where there is one; elsewhere
+   * (Node, Bun) entries go to `node_modules/.cache/emlite`.
+   */
+  constructor({ name = "emlite", dir, revalidate = true } = {}) {
+    if (dir !== undefined) this._store = new DirectoryStore(dir);
+    else if (typeof caches !== "undefined")
+      this._store = new CacheStorageStore(name);
+    else if (typeof process !== "undefined" && process.versions?.node)
+      this._store = new DirectoryStore("node_modules/.cache/emlite");
+    else this._store = new MemoryStore();
+    // Cache Storage only takes http(s) URLs
+    this._files =
+      this._store instanceof CacheStorageStore
+        ? new MemoryStore()
+        : this._store;
+    this._revalidate = revalidate;
+    // content hash => Promise<WebAssembly.Module>
+    this._modules = new Map();
+  }
+
+  _storeFor(key) {
+    return key.startsWith("file:") ? this._files : this._store;
+  }
+
+  /**
+   * Fetch `url` through the cache
+   * @param {URL|string} url - http(s) or file: URL
+   * @param {Number} version - bridge version the entry must have been stored under
+   * @returns {Promise<{bytes: ArrayBuffer, hash: string, target?: Number|null, cached: boolean}>}
+   *          `target` is the binary's emlite_target(), once recorded with setTarget
+   */
+  async load(url, version) {
+    const key = String(url);
+    if (key.startsWith("file:")) return this._loadFile(key, version);
+    let entry = await this._store.get(key);
+    if (entry && entry.meta.emlite !== version) {
+      await this._store.delete(key);
+      entry = null;
+    }
+    if (entry && !this._revalidate) return hit(entry);
+    let res;
+    try {
+      res = await fetch(key, {
+        headers: entry?.meta.etag ? { "If-None-Match": entry.meta.etag } : {},
+      });
+    } catch (e) {
+      // Offline: a cached copy is better than nothing
+      if (entry) return hit(entry);
+      throw e;
+    }
+    if (res.status === 304 && entry) return hit(entry);
+    if (!res.ok)
+      throw new Error(`[Emlite] failed to fetch ${key}: ${res.status}`);
+    const bytes = await res.arrayBuffer();
+    const hash = await sha256(bytes);
+    const meta = { etag: res.headers.get("ETag"), hash, emlite: version };
+    await this._store.put(key, bytes, meta);
+    return { bytes, hash, cached: false };
+  }
+
+  // A file: URL, read again when its size or modification time has changed
+  async _loadFile(key, version) {
+    const fs = await nodeFs();
+    const { size, mtimeMs } = await fs.stat(new URL(key));
+    const entry = await this._files.get(key);
+    if (
+      entry?.meta.emlite === version &&
+      entry.meta.size === size &&
+      entry.meta.mtime === mtimeMs
+    )
+      return hit(entry);
+    const buf = await fs.readFile(new URL(key));
+    const bytes = buf.buffer.slice(
+      buf.byteOffset,
+      buf.byteOffset + buf.byteLength
+    );
+    const hash = await sha256(bytes);
+    const meta = { size, mtime: mtimeMs, hash, emlite: version };
+    await this._files.put(key, bytes, meta);
+    return { bytes, hash, cached: false };
+  }
+
+  /**
+   * Fetch and compile `url`, reusing the module compiled from the same bytes
+   * @param {URL|string} url
+   * @param {Number} version - see load
+   * @returns {Promise<{module: WebAssembly.Module, target?: Number|null, cached: boolean}>}
+   */
+  async compile(url, version) {
+    const { bytes, hash, target, cached } = await this.load(url, version);
+    let module = this._modules.get(hash);
+    if (!module) {
+      module = WebAssembly.compile(bytes);
+      this._modules.set(hash, module);
+      module.catch(() => this._modules.delete(hash));
+    }
+    return { module: await module, target, cached };
+  }
+
+  /**
+   * Record the emlite_target() of the binary stored for `url`, so that later
+   * loads can check it without instantiating the module
+   * @param {URL|string} url
+   * @param {Number|null} target - null when the module doesn't export it
+   */
+  async setTarget(url, target) {
+    const key = String(url);
+    const store = this._storeFor(key);
+    const entry = await store.get(key);
+    if (entry && entry.meta.target !== target)
+      await store.put(key, entry.bytes, { ...entry.meta, target });
+  }
+
+  /**
+   * Forget `url`, e.g. when it was built for another bridge version
+   * @param {URL|string} url
+   */
+  async delete(url) {
+    const key = String(url);
+    const store = this._storeFor(key);
+    const entry = await store.get(key);
+    if (entry) this._modules.delete(entry.meta.hash);
+    await store.delete(key);
+  }
+}
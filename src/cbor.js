@@ -0,0 +1,378 @@
+import { bytesOf } from "./util.js";
+
+// CBOR (RFC 8949) encoding of JS values, used for deep conversion between wasm
+// memory and JS. Besides the core types it carries typed arrays (the RFC 8746
+// little-endian tags), BigInts and Maps (tag 259).
+//
+// Integers encoded with an 8-byte argument decode to BigInt, every other
+// integer to Number. BigInts are always written that way (or with the bignum
+// tags 2 and 3 past 64 bits), and Numbers past 32 bits as floats, so both
+// keep their type across a round trip.
+
+const TAG_POS_BIGNUM = 2;
+const TAG_NEG_BIGNUM = 3;
+const TAG_MAP = 259;
+const BREAK = 0xff;
+
+// RFC 8746 tags of little-endian typed arrays. Uint8Array is written as a
+// plain byte string, tag 64 is accepted when decoding.
+const TYPED_ARRAY_TAGS = new Map([
+  [Uint8Array, 64],
+  [Uint8ClampedArray, 68],
+  [Uint16Array, 69],
+  [Uint32Array, 70],
+  [BigUint64Array, 71],
+  [Int8Array, 72],
+  [Int16Array, 77],
+  [Int32Array, 78],
+  [BigInt64Array, 79],
+  [Float32Array, 85],
+  [Float64Array, 86],
+]);
+const TAGGED_ARRAYS = new Map(
+  [...TYPED_ARRAY_TAGS].map(([Ctor, tag]) => [tag, Ctor])
+);
+
+const U32_END = 2 ** 32;
+const U64_END = 1n << 64n;
+
+const enc = new TextEncoder();
+const dec = new TextDecoder();
+
+const malformed = (what) => new Error(`[Emlite] malformed CBOR: ${what}`);
+
+const isBuffer = (v) =>
+  v instanceof ArrayBuffer ||
+  (typeof SharedArrayBuffer !== "undefined" && v instanceof SharedArrayBuffer);
+
+class Writer {
+  constructor() {
+    this._grow(256);
+    this.len = 0;
+  }
+
+  _grow(size) {
+    const buf = new Uint8Array(size);
+    if (this.buf) buf.set(this.buf.subarray(0, this.len));
+    this.buf = buf;
+    this.view = new DataView(buf.buffer);
+  }
+
+  reserve(n) {
+    let size = this.buf.length;
+    while (size < this.len + n) size *= 2;
+    if (size !== this.buf.length) this._grow(size);
+  }
+
+  u8(b) {
+    this.reserve(1);
+    this.buf[this.len++] = b;
+  }
+
+  bytes(b) {
+    this.reserve(b.length);
+    this.buf.set(b, this.len);
+    this.len += b.length;
+  }
+
+  // Initial byte and argument of a data item, `n` a BigInt or a Number
+  // below 2^32
+  head(major, n) {
+    const m = major << 5;
+    this.reserve(9);
+    if (typeof n === "bigint") {
+      this.buf[this.len] = m | 27;
+      this.view.setBigUint64(this.len + 1, n);
+      this.len += 9;
+    } else if (n < 24) {
+      this.buf[this.len++] = m | n;
+    } else if (n < 0x100) {
+      this.buf[this.len++] = m | 24;
+      this.buf[this.len++] = n;
+    } else if (n < 0x10000) {
+      this.buf[this.len] = m | 25;
+      this.view.setUint16(this.len + 1, n);
+      this.len += 3;
+    } else {
+      this.buf[this.len] = m | 26;
+      this.view.setUint32(this.len + 1, n);
+      this.len += 5;
+    }
+  }
+
+  float(x) {
+    this.reserve(9);
+    if (Math.fround(x) === x) {
+      this.buf[this.len] = 0xfa;
+      this.view.setFloat32(this.len + 1, x);
+      this.len += 5;
+    } else {
+      this.buf[this.len] = 0xfb;
+      this.view.setFloat64(this.len + 1, x);
+      this.len += 9;
+    }
+  }
+}
+
+function writeBigInt(w, v) {
+  if (v >= 0n && v < U64_END) return w.head(0, v);
+  if (v < 0n && -1n - v < U64_END) return w.head(1, -1n - v);
+  let mag = v < 0n ? -1n - v : v;
+  const out = [];
+  for (; mag > 0n; mag >>= 8n) out.unshift(Number(mag & 0xffn));
+  w.head(6, v < 0n ? TAG_NEG_BIGNUM : TAG_POS_BIGNUM);
+  w.head(2, out.length);
+  w.bytes(out);
+}
+
+function writeObject(w, v, seen) {
+  if (seen.has(v)) throw new TypeError("[Emlite] cannot encode a cyclic value");
+  seen.add(v);
+  try {
+    if (Array.isArray(v)) {
+      w.head(4, v.length);
+      for (const x of v) write(w, x, seen);
+    } else if (
+      v instanceof Uint8Array ||
+      v instanceof DataView ||
+      isBuffer(v)
+    ) {
+      const bytes = bytesOf(v);
+      w.head(2, bytes.length);
+      w.bytes(bytes);
+    } else if (ArrayBuffer.isView(v) && TYPED_ARRAY_TAGS.has(v.constructor)) {
+      const bytes = bytesOf(v);
+      w.head(6, TYPED_ARRAY_TAGS.get(v.constructor));
+      w.head(2, bytes.length);
+      w.bytes(bytes);
+    } else if (v instanceof Map) {
+      w.head(6, TAG_MAP);
+      w.head(5, v.size);
+      for (const [k, x] of v) {
+        write(w, k, seen);
+        write(w, x, seen);
+      }
+    } else {
+      const keys = Object.keys(v);
+      w.head(5, keys.length);
+      for (const k of keys) {
+        write(w, k, seen);
+        write(w, v[k], seen);
+      }
+    }
+  } finally {
+    seen.delete(v);
+  }
+}
+
+function write(w, v, seen) {
+  switch (typeof v) {
+    case "undefined":
+      return w.u8(0xf7);
+    case "boolean":
+      return w.u8(v ? 0xf5 : 0xf4);
+    case "number":
+      if (!Number.isInteger(v) || Object.is(v, -0) || Math.abs(v) >= U32_END)
+        return w.float(v);
+      return v >= 0 ? w.head(0, v) : w.head(1, -1 - v);
+    case "bigint":
+      return writeBigInt(w, v);
+    case "string": {
+      const bytes = enc.encode(v);
+      w.head(3, bytes.length);
+      return w.bytes(bytes);
+    }
+    case "object":
+      if (v === null) return w.u8(0xf6);
+      return writeObject(w, v, seen);
+    default:
+      throw new TypeError(`[Emlite] cannot encode a ${typeof v}`);
+  }
+}
+
+/**
+ * Encode a JS value. Plain objects become maps with string keys, Maps are
+ * tagged 259, ArrayBuffers and DataViews become byte strings.
+ * @param {any} value
+ * @returns {Uint8Array}
+ */
+export function encode(value) {
+  const w = new Writer();
+  write(w, value, new Set());
+  return w.buf.slice(0, w.len);
+}
+
+class Reader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.pos = 0;
+  }
+
+  // Offset of the next `n` bytes
+  take(n) {
+    if (this.pos + n > this.bytes.length) throw malformed("truncated");
+    const at = this.pos;
+    this.pos += n;
+    return at;
+  }
+
+  u8() {
+    return this.bytes[this.take(1)];
+  }
+
+  peek() {
+    if (this.pos >= this.bytes.length) throw malformed("truncated");
+    return this.bytes[this.pos];
+  }
+
+  // Argument of a data item; a BigInt when it takes 8 bytes
+  arg(info) {
+    if (info < 24) return info;
+    if (info === 24) return this.u8();
+    if (info === 25) return this.view.getUint16(this.take(2));
+    if (info === 26) return this.view.getUint32(this.take(4));
+    if (info === 27) return this.view.getBigUint64(this.take(8));
+    throw malformed(`reserved additional info ${info}`);
+  }
+
+  length(info) {
+    const n = Number(this.arg(info));
+    if (n > this.bytes.length - this.pos) throw malformed("truncated");
+    return n;
+  }
+
+  // Items of an array, or key/value pairs of a map, up to a break if
+  // the length is indefinite
+  items(info, pairs) {
+    const read1 = () => (pairs ? [this.read(), this.read()] : this.read());
+    const out = [];
+    if (info === 31) {
+      while (this.peek() !== BREAK) out.push(read1());
+      this.pos++;
+    } else {
+      for (let n = Number(this.arg(info)); n > 0; n--) out.push(read1());
+    }
+    return out;
+  }
+
+  string(major, info) {
+    if (info !== 31) {
+      const n = this.length(info);
+      const bytes = this.bytes.subarray(this.take(n), this.pos);
+      return major === 2 ? bytes.slice() : dec.decode(bytes);
+    }
+    const chunks = [];
+    while (this.peek() !== BREAK) {
+      const ib = this.u8();
+      if (ib >> 5 !== major || (ib & 31) === 31)
+        throw malformed("bad indefinite-length string chunk");
+      chunks.push(this.string(major, ib & 31));
+    }
+    this.pos++;
+    if (major === 3) return chunks.join("");
+    const out = new Uint8Array(chunks.reduce((n, c) => n + c.length, 0));
+    let off = 0;
+    for (const c of chunks) {
+      out.set(c, off);
+      off += c.length;
+    }
+    return out;
+  }
+
+  simple(info) {
+    switch (info) {
+      case 20:
+        return false;
+      case 21:
+        return true;
+      case 22:
+        return null;
+      case 25:
+        return half(this.view.getUint16(this.take(2)));
+      case 26:
+        return this.view.getFloat32(this.take(4));
+      case 27:
+        return this.view.getFloat64(this.take(8));
+      case 24:
+        this.u8();
+        return undefined;
+      default:
+        if (info > 27) throw malformed(`unexpected simple value ${info}`);
+        return undefined;
+    }
+  }
+
+  tagged(tag) {
+    if (tag === TAG_MAP) {
+      const ib = this.u8();
+      if (ib >> 5 !== 5) throw malformed("tag 259 needs a map");
+      return new Map(this.items(ib & 31, true));
+    }
+    const inner = this.read();
+    if (tag === TAG_POS_BIGNUM || tag === TAG_NEG_BIGNUM) {
+      if (!(inner instanceof Uint8Array)) throw malformed("bad bignum");
+      let n = 0n;
+      for (const b of inner) n = (n << 8n) | BigInt(b);
+      return tag === TAG_NEG_BIGNUM ? -1n - n : n;
+    }
+    const Ctor = TAGGED_ARRAYS.get(tag);
+    if (!Ctor) return inner; // unknown tags are ignored
+    if (
+      !(inner instanceof Uint8Array) ||
+      inner.length % Ctor.BYTES_PER_ELEMENT !== 0
+    )
+      throw malformed(`bad typed array for tag ${tag}`);
+    return new Ctor(inner.buffer, 0, inner.length / Ctor.BYTES_PER_ELEMENT);
+  }
+
+  read() {
+    const ib = this.u8();
+    const major = ib >> 5;
+    const info = ib & 31;
+    switch (major) {
+      case 0:
+        return this.arg(info);
+      case 1: {
+        const n = this.arg(info);
+        return typeof n === "bigint" ? -1n - n : -1 - n;
+      }
+      case 2:
+      case 3:
+        return this.string(major, info);
+      case 4:
+        return this.items(info, false);
+      case 5:
+        return Object.fromEntries(
+          this.items(info, true).map(([k, v]) => [String(k), v])
+        );
+      case 6:
+        return this.tagged(Number(this.arg(info)));
+      default:
+        return this.simple(info);
+    }
+  }
+}
+
+function half(h) {
+  const exp = (h >> 10) & 0x1f;
+  const mant = h & 0x3ff;
+  let v;
+  if (exp === 0) v = mant * 2 ** -24;
+  else if (exp === 31) v = mant ? NaN : Infinity;
+  else v = (1 + mant / 1024) * 2 ** (exp - 15);
+  return h & 0x8000 ? -v : v;
+}
+
+/**
+ * Decode one CBOR data item. Maps decode to plain objects (keys converted to
+ * strings) unless tagged 259, byte strings to Uint8Array copies.
+ * @param {Uint8Array} bytes
+ * @returns {any}
+ */
+export function decode(bytes) {
+  const r = new Reader(bytes);
+  const value = r.read();
+  if (r.pos !== bytes.length) throw malformed("trailing bytes");
+  return value;
+}
@@ -1,13 +1,27 @@
 /* eslint-disable no-undef */
+import { encode as cborEncode, decode as cborDecode } from "./cbor.js";
+import { SIGNATURES, PAIR_KINDS, POINTER_KINDS } from "./signatures.js";
+import { bytesOf, plain } from "./util.js";
+
 // base-1000 encoding of major.minor.patch of the semver string
 // 0.1.23 => 1023
 // 1.0.23 => 1000023
 // 11.0.23 => 11000023
 // version = (major × 1 000 000) + (minor × 1 000) + patch
 const EMLITE_VERSION = 1040;
-// Handles 0..RESERVED_MAX are reserved in the global value map
+// Handles 0..RESERVED_MAX are reserved in every handle table
 const RESERVED_MAX = 6;
 
+// JS Promise Integration lets a wasm stack suspend on a promise
+const HAS_JSPI =
+  typeof WebAssembly.Suspending === "function" &&
+  typeof WebAssembly.promising === "function";
+
+// Wasm exception handling lets a guest catch exceptions thrown from JS
+const HAS_WASM_EH =
+  typeof WebAssembly.Tag === "function" &&
+  typeof WebAssembly.Exception === "function";
+
 const enc = new TextEncoder("utf-8");
 const dec = new TextDecoder("utf-8");
 const dec_16 = new TextDecoder("utf-16le");
@@ -25,16 +39,589 @@ function u16ArrayToString(arr) {
   return s;
 }
 
-// Safely normalize non-Error throws without relying on undeclared identifiers
-const norm = (e) =>
-  typeof globalThis.normalizeThrown === "function"
-    ? globalThis.normalizeThrown(e)
-    : e;
+// JSON text of `v`, with BigInts written the way `plain` writes them
+const toJson = (v) => JSON.stringify(v, (_, x) => plain(x));
+
+// Wrap non-Error throws in an Error, keeping the original as `cause`
+function normalizeThrown(e) {
+  if (e instanceof Error) return e;
+  try {
+    const err = new Error(String(e));
+    if (e && typeof e === "object") {
+      if ("name" in e) err.name = e.name;
+      if ("code" in e) err.code = e.code;
+    }
+    err.cause = e;
+    return err;
+  } catch {
+    return new Error("Unknown JS exception");
+  }
+}
+const norm = normalizeThrown;
+
+// Maps integer handles handed to the guest onto JS values, refcounted.
+// In debug mode every entry remembers the import (`site`) and JS stack that
+// created it, freed handles are remembered so stale uses throw, and the
+// reserved handles can't be released.
+class HandleTable {
+  constructor(debug = false) {
+    this._h2e = new Map();
+    this._v2h = new Map();
+    this._next = 0;
+    this._debug = debug;
+    this._freed = debug ? new Set() : null;
+    this.site = null;
+  }
+
+  _newEntry(value) {
+    const h = this._next++;
+    const e = { value, refs: 1 };
+    if (this._debug) {
+      e.site = this.site ?? "(js)";
+      e.stack = creationStack();
+    }
+    this._h2e.set(h, e);
+    this._v2h.set(value, h);
+    return h;
+  }
+
+  _missing(op, h) {
+    throw new Error(
+      this._freed.has(h)
+        ? `[Emlite] ${op} of freed handle ${h}`
+        : `[Emlite] ${op} of unknown handle ${h}`
+    );
+  }
+
+  _delete(h, e) {
+    this._h2e.delete(h);
+    this._v2h.delete(e.value);
+    if (this._debug) this._freed.add(h);
+  }
+
+  add(value) {
+    if (this._v2h.has(value)) {
+      const h = this._v2h.get(value);
+      ++this._h2e.get(h).refs;
+      return h;
+    }
+    return this._newEntry(value);
+  }
+
+  decRef(h) {
+    const e = this._h2e.get(h);
+    if (!e) {
+      if (this._debug) this._missing("decRef", h);
+      return false;
+    }
+    if (this._debug && h <= RESERVED_MAX) return true;
+
+    if (--e.refs === 0) this._delete(h, e);
+    return true;
+  }
+
+  incRef(h) {
+    const e = this._h2e.get(h);
+    if (e) ++e.refs;
+    else if (this._debug) this._missing("incRef", h);
+  }
+
+  get(h) {
+    const e = this._h2e.get(h);
+    if (!e && this._debug) this._missing("get", h);
+    return e?.value;
+  }
+
+  /** Point a live handle at a new value, keeping its refcount */
+  replace(h, value) {
+    const e = this._h2e.get(h);
+    if (!e) return false;
+    this._v2h.delete(e.value);
+    e.value = value;
+    this._v2h.set(value, h);
+    return true;
+  }
+
+  /** Drop every non-reserved handle */
+  reset() {
+    for (const [h, e] of [...this._h2e]) {
+      if (h > RESERVED_MAX) this._delete(h, e);
+    }
+  }
+
+  /**
+   * Live non-reserved handles grouped by creation site, largest group first.
+   * Sites and stacks are only known in debug mode.
+   * @returns {{site: string, stack: string, count: Number, handles: Number[]}[]}
+   */
+  leakReport() {
+    const groups = new Map();
+    for (const [h, e] of this._h2e) {
+      if (h <= RESERVED_MAX) continue;
+      const site = e.site ?? "(unknown)";
+      const stack = e.stack ?? "";
+      const key = site + "\n" + stack;
+      let g = groups.get(key);
+      if (!g) groups.set(key, (g = { site, stack, count: 0, handles: [] }));
+      g.count++;
+      g.handles.push(h);
+    }
+    return [...groups.values()].sort((a, b) => b.count - a.count);
+  }
+
+  toHandle(value) {
+    return this.add(value);
+  }
+  toValue(h) {
+    return this.get(h);
+  }
+  has(value) {
+    return this._v2h.has(value);
+  }
+  get size() {
+    return this._h2e.size;
+  }
+  [Symbol.iterator]() {
+    return this._h2e.values();
+  }
+}
 
-let apply = () => {
-  throw new Error("dyncall.apply not wired yet");
+// Itanium ABI codes for builtin types, as found in std::type_info names
+const BUILTIN_TYPES = {
+  v: "void",
+  b: "bool",
+  c: "char",
+  a: "signed char",
+  h: "unsigned char",
+  s: "short",
+  t: "unsigned short",
+  i: "int",
+  j: "unsigned int",
+  l: "long",
+  m: "unsigned long",
+  x: "long long",
+  y: "unsigned long long",
+  f: "float",
+  d: "double",
+  e: "long double",
+  w: "wchar_t",
+  Ds: "char16_t",
+  Di: "char32_t",
+  Dn: "std::nullptr_t",
 };
-let target = () => -1;
+
+// JS stack of the code that created a handle, minus the frames inside this module
+function creationStack() {
+  const stack = new Error().stack ?? "";
+  return stack
+    .split("\n")
+    .slice(1)
+    .filter((l) => !l.includes(import.meta.url))
+    .join("\n");
+}
+
+/**
+ * Best-effort demangling of a std::type_info name (`St13runtime_error`,
+ * `N3app5ErrorE`, `PKc`). Names using templates or other constructs that
+ * aren't handled here are returned as-is.
+ * @param {string} name - mangled type name
+ * @returns {string} readable type name
+ */
+function demangleTypeName(name) {
+  let i = 0;
+  const sourceName = () => {
+    let n = 0;
+    while (i < name.length && name[i] >= "0" && name[i] <= "9")
+      n = n * 10 + (name.charCodeAt(i++) - 48);
+    if (n === 0 || i + n > name.length) throw new Error("bad source name");
+    const id = name.slice(i, i + n);
+    i += n;
+    return id;
+  };
+  const type = () => {
+    if (name[i] === "P") {
+      i++;
+      return type() + "*";
+    }
+    if (name[i] === "K") {
+      i++;
+      return "const " + type();
+    }
+    const two = name.slice(i, i + 2);
+    if (two.length === 2 && two in BUILTIN_TYPES) {
+      i += 2;
+      return BUILTIN_TYPES[two];
+    }
+    if (name[i] in BUILTIN_TYPES) return BUILTIN_TYPES[name[i++]];
+    if (two === "St") {
+      i += 2;
+      return "std::" + sourceName();
+    }
+    if (name[i] === "N") {
+      i++;
+      const parts = [];
+      while (name[i] !== "E") {
+        if (i >= name.length) throw new Error("unterminated nested name");
+        if (name.startsWith("St", i)) {
+          i += 2;
+          parts.push("std");
+        } else {
+          parts.push(sourceName());
+        }
+      }
+      i++;
+      return parts.join("::");
+    }
+    return sourceName();
+  };
+  try {
+    const out = type();
+    return i === name.length ? out : name;
+  } catch {
+    return name;
+  }
+}
+
+/**
+ * A C++ exception thrown by the guest via `__cxa_throw`, surfaced to JS as an Error.
+ * The thrown object stays in linear memory until `free()` is called, which runs
+ * its destructor and releases the allocation.
+ */
+export class CppException extends Error {
+  /**
+   * @param {Object} info
+   *        {
+   *          ptr:      Number,           // thrown object in linear memory
+   *          type:     Number,           // std::type_info*
+   *          typeName: string,           // demangled type name
+   *          what?:    string,           // std::exception::what(), if available
+   *          release:  (ptr) => void,    // destroys and frees the thrown object
+   *        }
+   */
+  constructor({ ptr, type, typeName, what, release }) {
+    super(what === undefined ? typeName : `${typeName}: ${what}`);
+    this.name = "CppException";
+    this.ptr = ptr;
+    this.type = type;
+    this.typeName = typeName;
+    this.what = what;
+    Object.defineProperty(this, "_release", { value: release });
+  }
+
+  /** Run the thrown object's destructor and free it. Safe to call twice. */
+  free() {
+    if (this.ptr === 0) return;
+    const ptr = this.ptr;
+    this.ptr = 0;
+    this._release(ptr);
+  }
+}
+
+/**
+ * Opcodes of the emlite_val_batch command buffer, each followed by its i32
+ * operands. Ops marked `->` append a handle to the results. A handle operand
+ * with the top bit set (BATCH_RESULT | i) refers to result i of the same batch.
+ */
+export const BatchOp = Object.freeze({
+  GET: 1, // obj, key -> obj[key]
+  GET_PROP: 2, // obj, name_ptr, name_len -> obj[name]
+  SET: 3, // obj, key, val
+  SET_PROP: 4, // obj, name_ptr, name_len, val
+  CALL: 5, // obj, name_ptr, name_len, argc, arg... -> obj[name](...args)
+  NEW: 6, // ctor, argc, arg... -> new ctor(...args)
+  FUNC_CALL: 7, // fn, argc, arg... -> fn(...args)
+  DEC_REF: 8, // handle
+  MAKE_STR: 9, // ptr, len -> string
+});
+export const BATCH_RESULT = 0x80000000;
+
+/**
+ * Raised when a sandboxed guest reaches for a property or a constructor its
+ * policy doesn't allow
+ */
+export class SandboxError extends Error {
+  constructor(message) {
+    super(`[Emlite] sandbox denies ${message}`);
+    this.name = "SandboxError";
+  }
+}
+
+// Keys that lead out of any sandbox root, to Function and Object.prototype,
+// or around the property checks: the legacy accessor methods read and write
+// any property, `__proto__` included, under a name the policy never sees
+const SANDBOX_DENIED = [
+  "constructor",
+  "__proto__",
+  "__lookupGetter__",
+  "__lookupSetter__",
+  "__defineGetter__",
+  "__defineSetter__",
+];
+
+// Constructors that compile code, which they also do when called without
+// `new`
+const CODE_CONSTRUCTORS = new Set(
+  [
+    function () {},
+    async function () {},
+    function* () {},
+    async function* () {},
+  ].map((f) => f.constructor)
+);
+const INDEX_KEY = /^(0|[1-9][0-9]*)$/;
+
+function sandboxPolicy({
+  root = {},
+  console: cons = console,
+  allow,
+  deny = [],
+  constructors,
+}) {
+  const allowed = allow ? new Set(allow) : null;
+  const denied = new Set([...SANDBOX_DENIED, ...deny]);
+  const ctors = constructors ? new Set(constructors) : null;
+  return {
+    root,
+    console: cons,
+    // Array indices are always reachable
+    key: (k) =>
+      typeof k === "number" ||
+      (typeof k === "string" && INDEX_KEY.test(k)) ||
+      (!denied.has(k) && (!allowed || allowed.has(k))),
+    ctor: (c) => !ctors || ctors.has(c),
+  };
+}
+
+// ToPropertyKey, running an object key's toString or Symbol.toPrimitive once
+function propertyKey(key) {
+  if (typeof key === "symbol" || typeof key === "number") return key;
+  if (key === null || (typeof key !== "object" && typeof key !== "function"))
+    return String(key);
+  return Reflect.ownKeys({ [key]: undefined })[0];
+}
+
+// Where instances of registered native classes keep their pointer
+const NATIVE_PTR = Symbol("emlite.nativePtr");
+
+// Attribute bits of emlite_val_define_property/emlite_val_define_accessor
+export const PropertyFlags = Object.freeze({
+  ENUMERABLE: 1,
+  CONFIGURABLE: 2,
+  WRITABLE: 4, // data properties only
+});
+
+function descriptorOf(flags, fields) {
+  return {
+    enumerable: (flags & PropertyFlags.ENUMERABLE) !== 0,
+    configurable: (flags & PropertyFlags.CONFIGURABLE) !== 0,
+    ...fields,
+  };
+}
+
+// Symbol.iterator etc., by name
+function wellKnownSymbol(name) {
+  const sym = Symbol[name];
+  if (typeof sym !== "symbol")
+    throw new RangeError(`unknown well-known symbol ${name}`);
+  return sym;
+}
+
+// Checks the result of an iterator's next()
+function iterResult(result) {
+  if (result === null || typeof result !== "object")
+    throw new TypeError(`iterator result ${String(result)} is not an object`);
+  return result;
+}
+
+// Element types accepted by emlite_val_make_typed_array_view, by index
+const TYPED_ARRAYS = [
+  Int8Array,
+  Uint8Array,
+  Int16Array,
+  Uint16Array,
+  Int32Array,
+  Uint32Array,
+  Float32Array,
+  Float64Array,
+  BigInt64Array,
+  BigUint64Array,
+  Uint8ClampedArray,
+];
+
+// UTF-16 bytes of `str` with a NUL terminator
+function utf16z(str) {
+  const units = new Uint16Array(str.length + 1);
+  for (let i = 0; i < str.length; i++) units[i] = str.charCodeAt(i);
+  return bytesOf(units);
+}
+
+// Argument conversions of Emlite.wrap: push the wasm arguments for `v` to
+// `out`, and what has to be released after the call to `temps`
+const WRAP_ARGS = {
+  number: (em, v, out) => out.push(Number(v)),
+  i32: (em, v, out) => out.push(v | 0),
+  u32: (em, v, out) => out.push(v >>> 0),
+  f32: (em, v, out) => out.push(Number(v)),
+  f64: (em, v, out) => out.push(Number(v)),
+  i64: (em, v, out) => out.push(BigInt.asIntN(64, BigInt(v))),
+  u64: (em, v, out) => out.push(BigInt.asUintN(64, BigInt(v))),
+  bool: (em, v, out) => out.push(v ? 1 : 0),
+  string: (em, v, out, temps) => {
+    const ptr = em._copyBytesToWasm(enc.encode(String(v) + "\0"));
+    temps.ptrs.push(ptr);
+    out.push(em._ptrOut(ptr));
+  },
+  string16: (em, v, out, temps) => {
+    const ptr = em._copyBytesToWasm(utf16z(String(v)));
+    temps.ptrs.push(ptr);
+    out.push(em._ptrOut(ptr));
+  },
+  // (ptr, len) pair
+  u8array: (em, v, out, temps) => {
+    const bytes = Array.isArray(v) ? Uint8Array.from(v) : bytesOf(v);
+    const ptr = em._copyBytesToWasm(bytes);
+    if (ptr) temps.ptrs.push(ptr);
+    out.push(em._ptrOut(ptr), em._ptrOut(bytes.length));
+  },
+  handle: (em, v, out, temps) => {
+    const h = em._valmap.add(v);
+    temps.handles.push(h);
+    out.push(h);
+  },
+};
+
+// Result conversions of Emlite.wrap
+const WRAP_RETS = {
+  void: () => undefined,
+  number: (em, r) => r,
+  i32: (em, r) => r,
+  u32: (em, r) => r >>> 0,
+  f32: (em, r) => r,
+  f64: (em, r) => r,
+  i64: (em, r) => BigInt.asIntN(64, r),
+  u64: (em, r) => BigInt.asUintN(64, r),
+  bool: (em, r) => r !== 0,
+  string: (em, r) => (r ? em._cStrZ(em._ptrIn(r)) : null),
+  string16: (em, r) => (r ? em._cStrZ16(em._ptrIn(r)) : null),
+  handle: (em, r) => em._owned(r),
+};
+
+/**
+ * The JS runtime this is running in. A document makes it a browser, even
+ * with `process` around (Electron renderers, jsdom, happy-dom). Bun and Deno
+ * are told apart from Node before it, as both provide `process`.
+ * @returns {"browser"|"worker"|"deno"|"bun"|"node"|"unknown"}
+ */
+export function detectEnvironment() {
+  if (typeof window !== "undefined" && "document" in window) return "browser";
+  if (typeof Deno !== "undefined" && Deno.version?.deno) return "deno";
+  if (typeof Bun !== "undefined") return "bun";
+  if (typeof process !== "undefined" && process.versions?.node) return "node";
+  if (
+    typeof WorkerGlobalScope !== "undefined" &&
+    self instanceof WorkerGlobalScope
+  )
+    return "worker";
+  return "unknown";
+}
+
+// `source` as a URL if it is one. Strings without a scheme (of at least two
+// letters, to leave Windows drive letters alone) are paths.
+function asUrl(source) {
+  if (source instanceof URL) return source;
+  if (typeof source === "string" && /^[a-z][a-z0-9+.-]+:/i.test(source))
+    return new URL(source);
+  return null;
+}
+
+function toArrayBuffer(u8) {
+  return u8.buffer.slice(u8.byteOffset, u8.byteOffset + u8.byteLength);
+}
+
+// Value of an ASCII hex digit, or -1
+const hexValue = (b) => {
+  if (b >= 0x30 && b <= 0x39) return b - 0x30;
+  const l = b | 0x20;
+  return l >= 0x61 && l <= 0x66 ? l - 0x57 : -1;
+};
+
+// Bytes of a percent-encoded string. Escapes stand for bytes, not UTF-8
+// sequences, and a `%` not followed by two hex digits is kept as it is.
+function percentDecode(s) {
+  const bytes = enc.encode(s);
+  const out = new Uint8Array(bytes.length);
+  let n = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    const hi = bytes[i] === 0x25 ? hexValue(bytes[i + 1]) : -1;
+    const lo = hi < 0 ? -1 : hexValue(bytes[i + 2]);
+    if (lo < 0) {
+      out[n++] = bytes[i];
+    } else {
+      out[n++] = (hi << 4) | lo;
+      i += 2;
+    }
+  }
+  return out.subarray(0, n);
+}
+
+// Bytes of a `data:[<mediatype>][;base64],<data>` URL
+function decodeDataUrl(href) {
+  const comma = href.indexOf(",");
+  if (comma < 0) throw new Error("[Emlite] malformed data URL");
+  const meta = href.slice(5, comma);
+  const data = href.slice(comma + 1);
+  if (!/;base64$/i.test(meta)) return toArrayBuffer(percentDecode(data));
+  const bin = atob(dec.decode(percentDecode(data)));
+  const out = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+  return out.buffer;
+}
+
+// (module (memory i64 1)), valid where the engine supports memory64
+const MEMORY64_PROBE = new Uint8Array([
+  0x00, 0x61, 0x73, 0x6d, 0x01, 0x00, 0x00, 0x00, 0x05, 0x03, 0x01, 0x04, 0x01,
+]);
+
+// A 64-bit indexed memory. Engines following the final JS API take BigInt
+// limits, earlier ones took Numbers.
+function createMemory64(initial, maximum, shared) {
+  if (!WebAssembly.validate(MEMORY64_PROBE))
+    throw new Error("[Emlite] this engine doesn't support memory64");
+  try {
+    return new WebAssembly.Memory({
+      initial: BigInt(initial),
+      maximum: BigInt(maximum),
+      shared,
+      index: "i64",
+    });
+  } catch (e) {
+    if (!(e instanceof TypeError)) throw e;
+    return new WebAssembly.Memory({ initial, maximum, shared, index: "i64" });
+  }
+}
+
+// Pointer and size_t parameters (by position) of the env imports, which
+// memory64 guests pass as BigInt, and the imports returning one. Handles,
+// flags and counts stay i32, and callback `data` is only handed back to the
+// guest, so it stays a BigInt.
+const POINTER_ARGS = {};
+const POINTER_RESULTS = new Set();
+for (const [name, [args, result]] of Object.entries(SIGNATURES)) {
+  const ptrs = [];
+  let i = 0;
+  for (const kind of args) {
+    const width = PAIR_KINDS.has(kind) ? 2 : 1;
+    if (POINTER_KINDS.has(kind))
+      for (let j = 0; j < width; j++) ptrs.push(i + j);
+    i += width;
+  }
+  if (ptrs.length) POINTER_ARGS[name] = ptrs;
+  if (result === "z" || result === "y" || result === "a")
+    POINTER_RESULTS.add(name);
+}
+
+// WIT interface through which components export their function table
+const DYNCALL_INTERFACE = "emlite:env/dyncall@0.1.0";
 
 export class Emlite {
   /**
@@ -42,7 +629,20 @@ export class Emlite {
    *        {
    *          memory?:   WebAssembly.Memory,
    *          env?:      Record<string, any>,    // extra `env` imports
-   *          globals?:  Record<string, any>,    // things to pin on `globalThis`
+   *          globals?:  Record<string, any>,    // things to pin on `globalThis`, or the sandbox root
+   *          exposeValmap?: boolean,            // mirror the handle table on `globalThis.EMLITE_VALMAP`
+   *          debug?:    boolean,                // track handle creation sites, throw on stale handles
+   *          shared?:   boolean,                // create a shared memory for multi-threaded guests
+   *          trace?:    Tracer,                 // from emlite/trace (or a Recorder/Replayer from emlite/testing)
+   *          cache?:    ModuleCache,            // from emlite/cache, keeps fetched binaries
+   *          memory64?: boolean,                // the guest is wasm64: 64-bit memory, BigInt pointers
+   *          sandbox?:  {                       // restrict what the guest can reach
+   *            root?:         object,           // handle 4 instead of `globalThis` (default: an empty object)
+   *            console?:      object,           // handle 5 instead of `console`
+   *            allow?:        PropertyKey[],    // the only property names it may read or call
+   *            deny?:         PropertyKey[],    // property names it may not read or call
+   *            constructors?: Function[],       // the only constructors it may call
+   *          },
    *        }
    */
   constructor(opts = {}) {
@@ -51,62 +651,957 @@ export class Emlite {
       env = {},
       globals = {},
       exposeHeaps = true,
+      exposeValmap = false,
+      debug = false,
+      shared = false,
+      trace = null,
+      memory64 = false,
       initialPages = 258,
-      maximumPages = 4096,
+      maximumPages = memory64 ? 262144 : 4096,
+      sandbox = null,
+      cache = null,
     } = opts;
 
+    this._mem64 = !!memory64;
     this._memory =
       memory ??
-      new WebAssembly.Memory({ initial: initialPages, maximum: maximumPages });
+      (memory64
+        ? createMemory64(initialPages, maximumPages, shared)
+        : new WebAssembly.Memory({
+            initial: initialPages,
+            maximum: maximumPages,
+            shared,
+          }));
     this._extraEnv = { ...env };
-    this._exposeHeaps = !!exposeHeaps;
+    this._cache = cache;
+    this._sandbox = sandbox ? sandboxPolicy(sandbox) : null;
+    // A sandboxed instance leaves the real globalThis alone
+    this._exposeHeaps = !!exposeHeaps && !this._sandbox;
+    this._exposeValmap = !!exposeValmap && !this._sandbox;
+    this._debug = !!debug;
+    this._tracer = trace;
+    const root = this._sandbox?.root ?? globalThis;
     for (const [name, value] of Object.entries(globals)) {
-      if (name in globalThis) {
-        console.warn(`[Emlite] globalThis.${name} already exists; skipping`);
+      if (name in root) {
+        console.warn(`[Emlite] ${name} already exists on the root; skipping`);
         continue;
       }
-      globalThis[name] = value;
+      root[name] = value;
     }
+    this._dyncall = {
+      apply: () => {
+        throw new Error("dyncall.apply not wired yet, call bindComponent()");
+      },
+      target: undefined,
+    };
+    // handle => { view, ptr, len, kind } for typed arrays over `_memory`
+    this._memViews = new Map();
+    // error thrown by the last failed *_checked call, until taken
+    this._pending = null;
+    // The `emlite_exception_tag` import, whose payload is a handle. Guests
+    // that import it get what imports throw as exceptions of this tag.
+    this._exceptionTag = HAS_WASM_EH
+      ? new WebAssembly.Tag({ parameters: ["i32"] })
+      : null;
+    this._wasmExceptions = false;
+    // tagged exceptions that reached JS -> the value they carried
+    this._thrown = new WeakMap();
+    this._callbacks = new WeakMap();
+    // bumped by reload(); guest functions and closure state from an earlier
+    // generation belong to a module that is gone
+    this._generation = 0;
+    this._reloading = false;
+    // classes from emlite_val_class_begin -> { name, raw }
+    this._classes = new WeakMap();
+    this._callbackFR =
+      typeof FinalizationRegistry !== "undefined"
+        ? new FinalizationRegistry((state) => this._releaseCallback(state))
+        : null;
     this._updateViews();
+    this._initHandleTable();
+  }
+
+  /**
+   * (Re)create this instance's handle table with the reserved handles.
+   * Only published on `globalThis` when `exposeValmap` was requested.
+   */
+  _initHandleTable() {
+    const valmap = new HandleTable(this._debug);
+    valmap.add(null);
+    valmap.add(undefined);
+    valmap.add(false);
+    valmap.add(true);
+    valmap.add(this._sandbox?.root ?? globalThis);
+    valmap.add(this._sandbox?.console ?? console);
+    valmap.add(Symbol("_EMLITE_RESERVED_"));
+    this._valmap = valmap;
+    this._memViews.clear();
+    if (this._exposeValmap) {
+      globalThis.EMLITE_VALMAP = valmap;
+      globalThis.normalizeThrown = normalizeThrown;
+    }
+  }
+
+  /**
+   * Throw a SandboxError unless the sandbox lets the guest reach `key`.
+   * In sandbox mode the key is converted to a string or symbol once, and
+   * the converted key must be the one used for the access: a guest object's
+   * toString could answer differently the second time.
+   * @param {any} key - property key, as the guest passed it
+   * @returns {PropertyKey} the key to access
+   */
+  _checkKey(key) {
+    if (!this._sandbox) return key;
+    const k = propertyKey(key);
+    if (!this._sandbox.key(k))
+      throw new SandboxError(`access to ${JSON.stringify(String(k))}`);
+    return k;
+  }
+
+  /**
+   * Throw a SandboxError unless the sandbox lets the guest call `new ctor`.
+   * Classes registered by the guest are always allowed.
+   * @param {Function} ctor
+   */
+  _checkConstructor(ctor) {
+    if (!this._sandbox || this._classes.has(ctor) || this._sandbox.ctor(ctor))
+      return;
+    throw new SandboxError(`constructing ${ctor?.name || String(ctor)}`);
+  }
+
+  /**
+   * Throw a SandboxError if a call would run a code-compiling constructor
+   * the sandbox doesn't allow: as the callee, as the receiver of its
+   * call/apply/bind, or as an argument the callee may call.
+   * @param {Function} fn
+   * @param {any} thisArg
+   * @param {any[]} args
+   */
+  _checkCall(fn, thisArg, args) {
+    if (!this._sandbox) return;
+    for (const v of [fn, thisArg, ...args])
+      if (CODE_CONSTRUCTORS.has(v)) this._checkConstructor(v);
+  }
+
+  /** The handle table backing this instance. @returns {HandleTable} */
+  get valmap() {
+    return this._valmap;
+  }
+
+  /**
+   * Live handles grouped by the import and JS stack that created them.
+   * Creation sites are only recorded with `debug: true`.
+   */
+  leakReport() {
+    return this._valmap.leakReport();
+  }
+
+  /**
+   * In debug mode, tag the handles created by each import with its name.
+   * With a `trace` tracer, report every call to it.
+   * @param {Record<string, any>} imports
+   * @returns {Record<string, any>}
+   */
+  _instrument(imports) {
+    const tracer = this._tracer;
+    if (!this._debug && !tracer) return imports;
+    const out = {};
+    for (const [name, fn] of Object.entries(imports)) {
+      if (typeof fn !== "function") {
+        out[name] = fn;
+        continue;
+      }
+      out[name] = (...args) => {
+        const valmap = this._valmap;
+        const prev = valmap.site;
+        if (this._debug) valmap.site = name;
+        try {
+          return tracer ? tracer.around(this, name, fn, args) : fn(...args);
+        } finally {
+          valmap.site = prev;
+        }
+      };
+    }
+    return out;
+  }
+
+  // The guest function at table index `fidx`. Calls to it are reported to the
+  // `trace` object's `callback(emlite, fidx, fn, args)` hook when it has one.
+  _tableFn(fidx) {
+    const fn = this.exports.__indirect_function_table.get(fidx);
+    const tracer = this._tracer;
+    if (typeof tracer?.callback !== "function") return fn;
+    return (...args) => tracer.callback(this, fidx, fn, args);
+  }
+
+  /**
+   * Wrap a guest callback in a JS function. `drop(data)` tells the guest that
+   * the closure state behind `data` can be freed; it runs exactly once, when
+   * the function is garbage collected, revoked, or (for `once`) first called.
+   * Revoked functions are inert and return undefined.
+   * @param {(args: any[], data: Number) => any} invoke - calls into the guest
+   * @param {Number} data - guest closure state
+   * @param {(data: Number) => void} drop - guest-side destructor
+   * @param {boolean} once - release after the first call
+   * @returns {Function}
+   */
+  _wrapCallback(invoke, data, drop, once = false) {
+    const state = {
+      invoke,
+      data,
+      drop,
+      live: true,
+      generation: this._generation,
+    };
+    const jsFn = (...args) => {
+      if (!this._isLive(state)) return undefined;
+      try {
+        return state.invoke(args, state.data);
+      } finally {
+        if (once) this._releaseCallback(state);
+      }
+    };
+    this._callbacks.set(jsFn, state);
+    this._callbackFR?.register(jsFn, state, state);
+    return jsFn;
+  }
+
+  // Callbacks left over from before a reload are inert until rebound
+  _isLive(state) {
+    return state.live && state.generation === this._generation;
+  }
+
+  _releaseCallback(state) {
+    if (!state.live) return;
+    state.live = false;
+    this._callbackFR?.unregister(state);
+    // The closure state of a reloaded module went with it
+    if (state.generation !== this._generation) return;
+    try {
+      state.drop(state.data);
+    } catch {
+      /* empty */
+    }
+  }
+
+  /**
+   * Point a callback made by one of the make_callback imports at another
+   * guest function and closure state, releasing the current state. This is
+   * how callbacks made before a reload are brought back to life.
+   * @param {Function} fn
+   * @param {(args: any[], data: Number) => any} invoke - calls into the guest
+   * @param {Number} data - guest closure state
+   * @param {(data: Number) => void} drop - guest-side destructor
+   * @returns {boolean} whether `fn` was a callback that wasn't revoked
+   */
+  _rebindCallback(fn, invoke, data, drop) {
+    const state = this._callbacks.get(fn);
+    if (!state?.live) return false;
+    if (state.generation === this._generation) {
+      try {
+        state.drop(state.data);
+      } catch {
+        /* empty */
+      }
+    }
+    Object.assign(state, { invoke, data, drop });
+    state.generation = this._generation;
+    return true;
+  }
+
+  /**
+   * Revoke a function made by one of the make_callback imports
+   * @param {Function} fn
+   * @returns {boolean} whether `fn` was a live callback
+   */
+  revokeCallback(fn) {
+    const state = this._callbacks.get(fn);
+    if (!state?.live) return false;
+    this._releaseCallback(state);
+    return true;
+  }
+
+  /**
+   * Value of a handle returned by a guest callback, which Emlite owns
+   * @param {Number} h
+   */
+  _owned(h) {
+    const v = this._valmap.get(h);
+    if (h > RESERVED_MAX) this._valmap.decRef(h);
+    return v;
+  }
+
+  /**
+   * Native pointer owned by an instance of a class registered with
+   * emlite_val_class_begin
+   * @param {object} obj
+   * @returns {Number} 0 if `obj` isn't one, or was disposed
+   */
+  nativePtr(obj) {
+    return (obj !== null && typeof obj === "object" && obj[NATIVE_PTR]) || 0;
+  }
+
+  /**
+   * Start a JS class whose instances own a native pointer. Its members are
+   * guest functions `Handle (*)(Handle argv, uint32_t ptr)`, called through
+   * `raw(fidx, args, ptr)`: the constructor gets ptr 0 and returns the new
+   * pointer, the destructor gets argv 0.
+   * @param {string} name
+   * @param {(fidx: Number, args: any[]|null, ptr: Number) => Number} raw
+   * @param {Number} ctorFidx - 0 if JS can't construct instances
+   * @param {Number} dtorFidx - 0 if there's nothing to free
+   * @returns {Function} the class
+   */
+  _beginClass(name, raw, ctorFidx, dtorFidx) {
+    const em = this;
+    const destroy = (ptr) => {
+      if (dtorFidx) raw(dtorFidx, null, ptr);
+    };
+    const registry =
+      typeof FinalizationRegistry !== "undefined"
+        ? new FinalizationRegistry((ptr) => {
+            try {
+              destroy(ptr);
+            } catch {
+              /* empty */
+            }
+          })
+        : null;
+    const cls = {
+      [name]: class {
+        constructor(...args) {
+          if (!ctorFidx) throw new TypeError(`${name} is not constructible`);
+          const ptr = em._ptrIn(raw(ctorFidx, args, 0));
+          if (ptr === 0)
+            throw new Error(`[Emlite] ${name} constructor returned null`);
+          this[NATIVE_PTR] = ptr;
+          registry?.register(this, ptr, this);
+        }
+
+        /** Free the native object now rather than when collected */
+        dispose() {
+          const ptr = this[NATIVE_PTR];
+          if (!ptr) return;
+          this[NATIVE_PTR] = 0;
+          registry?.unregister(this);
+          destroy(ptr);
+        }
+      },
+    }[name];
+    if (typeof Symbol.dispose === "symbol")
+      Object.defineProperty(cls.prototype, Symbol.dispose, {
+        value: cls.prototype.dispose,
+        writable: true,
+        configurable: true,
+      });
+    this._classes.set(cls, { name, raw });
+    return cls;
+  }
+
+  _classOf(cls) {
+    const info = this._classes.get(cls);
+    if (!info)
+      throw new TypeError("[Emlite] not a class from emlite_val_class_begin");
+    return info;
+  }
+
+  // Pointer of `self`, checked to be a live instance of `cls`
+  _selfPtr(cls, self, member) {
+    const ptr = self instanceof cls ? self[NATIVE_PTR] : 0;
+    if (!ptr)
+      throw new TypeError(
+        `${cls.name}.${member} called on a disposed or foreign object`
+      );
+    return ptr;
+  }
+
+  /**
+   * Add a method, called as `(argv, ptr)`, or `(argv, 0)` if static. The
+   * handle it returns is owned by Emlite.
+   */
+  _classMethod(cls, name, fidx, isStatic) {
+    const { raw } = this._classOf(cls);
+    const em = this;
+    const method = isStatic
+      ? (...args) => em._owned(raw(fidx, args, 0))
+      : function (...args) {
+          return em._owned(raw(fidx, args, em._selfPtr(cls, this, name)));
+        };
+    Object.defineProperty(isStatic ? cls : cls.prototype, name, {
+      value: method,
+      writable: true,
+      configurable: true,
+    });
+  }
+
+  /**
+   * Add an accessor. The getter is called as `(0, ptr)`, the setter as
+   * `([value], ptr)`; a zero index leaves that side out.
+   */
+  _classProperty(cls, name, getFidx, setFidx) {
+    const { raw } = this._classOf(cls);
+    const em = this;
+    Object.defineProperty(cls.prototype, name, {
+      get: getFidx
+        ? function () {
+            return em._owned(raw(getFidx, null, em._selfPtr(cls, this, name)));
+          }
+        : undefined,
+      set: setFidx
+        ? function (value) {
+            em._owned(raw(setFidx, [value], em._selfPtr(cls, this, name)));
+          }
+        : undefined,
+      configurable: true,
+    });
+  }
+
+  /** Publish `cls` on `target` under its name */
+  _endClass(cls, target) {
+    const { name } = this._classOf(cls);
+    if (target !== null && target !== undefined)
+      Object.defineProperty(target, name, {
+        value: cls,
+        writable: true,
+        configurable: true,
+      });
+  }
+
+  /**
+   * Accessor pair backed by guest callbacks, which get the receiver as
+   * argv[0] and, for the setter, the new value as argv[1]. Both share `data`,
+   * released once the getter (or the lone setter) is collected.
+   * @param {(fidx: Number) => Function} call - invoker returning the JS value
+   * @param {Number} getFidx - table index, 0 for none
+   * @param {Number} setFidx - table index, 0 for none
+   * @param {Number} data
+   * @param {Function} drop
+   * @returns {{get?: Function, set?: Function}}
+   */
+  _accessors(call, getFidx, setFidx, data, drop) {
+    const get = getFidx
+      ? this._wrapCallback(call(getFidx), data, drop)
+      : undefined;
+    const set = setFidx
+      ? this._wrapCallback(call(setFidx), data, get ? () => {} : drop)
+      : undefined;
+    return {
+      get:
+        get &&
+        function () {
+          return get(this);
+        },
+      set:
+        set &&
+        function (value) {
+          set(this, value);
+        },
+    };
+  }
+
+  /**
+   * Iterator over the values a native callback produces, one call per step.
+   * The callback ends the iteration by producing the reserved handle 6; its
+   * data is released then, on `return()`, or when it throws.
+   * @param {Function} fn - made by _wrapCallback
+   * @param {(ret: any) => any} valueOf - value of what `fn` returns
+   * @returns {Iterator<any>} also iterable, like a generator
+   */
+  _nativeIterator(fn, valueOf) {
+    const end = this._valmap.get(RESERVED_MAX);
+    let done = false;
+    const finish = (value) => {
+      done = true;
+      this.revokeCallback(fn);
+      return { done: true, value };
+    };
+    return {
+      next: () => {
+        if (done) return { done: true, value: undefined };
+        if (!this._isLive(this._callbacks.get(fn))) return finish(undefined);
+        let value;
+        try {
+          value = valueOf(fn());
+        } catch (e) {
+          finish();
+          throw e;
+        }
+        return value === end ? finish(undefined) : { done: false, value };
+      },
+      return: (value) => finish(value),
+      [Symbol.iterator]() {
+        return this;
+      },
+    };
+  }
+
+  /**
+   * Run `fn` on behalf of a *_checked import. A throw is kept as the pending
+   * exception instead of being handed back as if it were the result.
+   * @param {() => any} fn
+   * @returns {{ok: boolean, value: Number}} `value` is the result's handle
+   */
+  _tryCall(fn) {
+    let ret;
+    try {
+      ret = fn();
+    } catch (e) {
+      this._pending = { error: norm(e) };
+      return { ok: false, value: 0 };
+    }
+    return { ok: true, value: this._valmap.add(ret) };
+  }
+
+  /** Handle to the pending exception, which is cleared, or 0 if there's none */
+  _takeException() {
+    const pending = this._pending;
+    this._pending = null;
+    if (!pending) return 0;
+    return pending.handle ?? this._valmap.add(pending.error);
+  }
+
+  /**
+   * Wrap imports so that what they throw reaches the guest as an exception
+   * of `emlite_exception_tag`. Its payload is a handle to the thrown value,
+   * which is also left as the pending exception, so a C++ `catch (...)` can
+   * get it through emlite_val_take_exception.
+   * @param {Record<string, any>} imports
+   * @returns {Record<string, any>}
+   */
+  _catchable(imports) {
+    const out = {};
+    for (const [name, fn] of Object.entries(imports)) {
+      if (typeof fn !== "function") {
+        out[name] = fn;
+        continue;
+      }
+      out[name] = (...args) => {
+        try {
+          return fn(...args);
+        } catch (e) {
+          // Already a wasm exception, e.g. from a guest further down
+          if (e instanceof WebAssembly.Exception) throw e;
+          const handle = this._valmap.add(e);
+          this._pending = { error: e, handle };
+          throw new WebAssembly.Exception(this._exceptionTag, [handle], {
+            traceStack: true,
+          });
+        }
+      };
+    }
+    return out;
+  }
+
+  /**
+   * The JS value behind an exception that unwound out of the guest. An
+   * exception of `emlite_exception_tag` gives back the value its handle
+   * holds, and the handle is released; anything else is returned as it is.
+   * Calls made through Emlite (callbacks, `wrap`, `promising`, the entry
+   * point) already do this, direct calls to the exports don't.
+   * @param {any} e - what a call into the guest threw
+   * @returns {any}
+   */
+  exceptionValue(e) {
+    const tag = this._exceptionTag;
+    if (!tag || !(e instanceof WebAssembly.Exception) || !e.is(tag)) return e;
+    if (!this._thrown.has(e)) {
+      const handle = e.getArg(tag, 0);
+      this._thrown.set(e, this._valmap.get(handle));
+      if (this._pending?.handle === handle) this._pending = null;
+      if (handle > RESERVED_MAX) this._valmap.decRef(handle);
+    }
+    return this._thrown.get(e);
+  }
+
+  /**
+   * Run an emlite_val_batch command buffer (see BatchOp)
+   * @param {Number} opsPtr - i32 words in wasm's memory
+   * @param {Number} nWords - number of words
+   * @param {Number} outPtr - where result handles are stored, as u32
+   * @returns {Number} the number of results stored
+   */
+  _runBatch(opsPtr, nWords, outPtr) {
+    this._ensureViewsFresh();
+    // Calls may re-enter the guest and grow memory, so work on a copy
+    const ops = this._i32.slice(opsPtr / 4, opsPtr / 4 + nWords);
+    const results = [];
+    const valmap = this._valmap;
+    let i = 0;
+    const handle = () => {
+      const h = ops[i++];
+      return h < 0 ? results[h & 0x7fffffff] : h;
+    };
+    const value = () => valmap.get(handle());
+    const str = () => this.cStr(ops[i++] >>> 0, ops[i++] >>> 0);
+    const args = () => {
+      const out = new Array(ops[i++]);
+      for (let k = 0; k < out.length; k++) out[k] = value();
+      return out;
+    };
+    const attempt = (fn) => {
+      try {
+        return fn();
+      } catch (e) {
+        return norm(e);
+      }
+    };
+    try {
+      while (i < ops.length) {
+        switch (ops[i++]) {
+          case BatchOp.GET: {
+            const obj = value();
+            const key = this._checkKey(value());
+            results.push(valmap.add(obj[key]));
+            break;
+          }
+          case BatchOp.GET_PROP: {
+            const obj = value();
+            const name = this._checkKey(str());
+            results.push(valmap.add(obj[name]));
+            break;
+          }
+          case BatchOp.SET: {
+            const obj = value();
+            const key = this._checkKey(value());
+            obj[key] = value();
+            break;
+          }
+          case BatchOp.SET_PROP: {
+            const obj = value();
+            const name = this._checkKey(str());
+            obj[name] = value();
+            break;
+          }
+          case BatchOp.CALL: {
+            const obj = value();
+            const name = str();
+            const a = args();
+            results.push(
+              valmap.add(
+                attempt(() => {
+                  this._checkKey(name);
+                  this._checkCall(obj[name], obj, a);
+                  return Reflect.apply(obj[name], obj, a);
+                })
+              )
+            );
+            break;
+          }
+          case BatchOp.NEW: {
+            const ctor = value();
+            const a = args();
+            results.push(
+              valmap.add(
+                attempt(() => {
+                  this._checkConstructor(ctor);
+                  return Reflect.construct(ctor, a);
+                })
+              )
+            );
+            break;
+          }
+          case BatchOp.FUNC_CALL: {
+            const fn = value();
+            const a = args();
+            results.push(
+              valmap.add(
+                attempt(() => {
+                  this._checkCall(fn, undefined, a);
+                  return Reflect.apply(fn, undefined, a);
+                })
+              )
+            );
+            break;
+          }
+          case BatchOp.DEC_REF: {
+            const h = handle();
+            if (h > RESERVED_MAX) valmap.decRef(h);
+            break;
+          }
+          case BatchOp.MAKE_STR:
+            results.push(valmap.add(str()));
+            break;
+          default:
+            throw new Error(
+              `[Emlite] unknown batch op ${ops[i - 1]} at word ${i - 1}`
+            );
+        }
+      }
+    } finally {
+      // Results produced before a failing op still reach the guest
+      this._ensureViewsFresh();
+      this._u32.set(results, outPtr / 4);
+    }
+    return results.length;
   }
 
   // Environment detection
+  /**
+   * The JS runtime Emlite is running in
+   * @returns {"browser"|"worker"|"deno"|"bun"|"node"|"unknown"}
+   */
+  environment() {
+    return detectEnvironment();
+  }
   isBrowser() {
-    // eslint-disable-next-line no-undef
-    return typeof window !== "undefined" && "document" in window;
+    return this.environment() === "browser";
   }
   envIsBrowser() {
     return this.isBrowser();
   }
 
-  async dynamicImport(id) {
-    const hidden = new Function("id", "return import(id)");
-    return hidden(id);
+  async dynamicImport(id) {
+    return import(/* webpackIgnore: true */ /* @vite-ignore */ id);
+  }
+
+  /**
+   * Read a file: fetched on the web and for http(s) URLs, decoded for data
+   * URLs, and read from disk with Deno.readFile, Bun.file or node:fs for file
+   * URLs and paths.
+   * @param {URL|string|BufferSource} source - URL, path, or the bytes themselves
+   * @return {Promise<ArrayBuffer>}
+   */
+  async readFile(source) {
+    if (source instanceof ArrayBuffer) return source;
+    if (ArrayBuffer.isView(source))
+      return source.buffer.slice(
+        source.byteOffset,
+        source.byteOffset + source.byteLength
+      );
+    const url = asUrl(source);
+    const env = this.environment();
+    if (url?.protocol === "data:") return decodeDataUrl(url.href);
+    if (
+      url?.protocol === "http:" ||
+      url?.protocol === "https:" ||
+      env === "browser" ||
+      env === "worker"
+    ) {
+      const res = await fetch(url ?? source);
+      if (!res.ok)
+        throw new Error(`[Emlite] failed to fetch ${source}: ${res.status}`);
+      return res.arrayBuffer();
+    }
+    const target = url ?? String(source);
+    if (env === "deno") return toArrayBuffer(await Deno.readFile(target));
+    if (env === "bun") return Bun.file(target).arrayBuffer();
+    const { readFile } = await this.dynamicImport("node:fs/promises");
+    return toArrayBuffer(await readFile(target));
+  }
+
+  /**
+   * Load, link and start a wasm module in one go. The `env` imports come from a
+   * new Emlite built with the remaining options; `wasi` is only required when
+   * the module imports wasi_snapshot_preview1. `_start` (through `wasi.start`
+   * when there is one) or `_initialize` are run, then `main` if there's no `_start`.
+   * @param {URL|string|Response|BufferSource|WebAssembly.Module} source
+   * @param {Object} opts
+   *        {
+   *          wasi?:    { wasiImport, start, initialize }, // node:wasi or browser_wasi_shim WASI
+   *          imports?: WebAssembly.Imports,    // extra imports, merged per namespace
+   *          start?:   boolean,                // run the entry point (default true)
+   *          ...Emlite constructor options
+   *        }
+   * @returns {Promise<{emlite: Emlite, instance: WebAssembly.Instance, module: WebAssembly.Module}>}
+   */
+  static async instantiate(source, opts = {}) {
+    const { wasi, imports, start, ...rest } = opts;
+    const emlite = new Emlite(rest);
+    const { instance, module } = await emlite._instantiate(source, {
+      wasi,
+      imports,
+      start,
+    });
+    return { emlite, instance, module };
+  }
+
+  async _compile(source) {
+    this._fromCache = false;
+    this._cacheKey = undefined;
+    if (source instanceof WebAssembly.Module) return source;
+    if (typeof Response !== "undefined" && source instanceof Response)
+      return this._compileResponse(source);
+    if (source instanceof ArrayBuffer || ArrayBuffer.isView(source))
+      return this._compileBytes(source);
+    const env = this.environment();
+    const url = asUrl(source);
+    const web = env === "browser" || env === "worker";
+    // Paths are relative to the page on the web, and local files elsewhere
+    const remote = url ? /^https?:$/.test(url.protocol) : web;
+    const local = url ? url.protocol === "file:" : !web;
+    if (this._cache && (remote || local)) {
+      // Local files are keyed by their file: URL
+      this._cacheKey =
+        local && !url
+          ? (await this.dynamicImport("node:url")).pathToFileURL(String(source))
+          : source;
+      const { module, target, cached } = await this._cache.compile(
+        this._cacheKey,
+        EMLITE_VERSION
+      );
+      this._fromCache = cached;
+      this._cachedTarget = target;
+      return module;
+    }
+    if (web && typeof WebAssembly.compileStreaming === "function")
+      return this._compileResponse(await fetch(source));
+    return this._compileBytes(await this.readFile(source));
+  }
+
+  async _compileResponse(res) {
+    if (!res.ok)
+      throw new Error(`[Emlite] failed to fetch ${res.url}: ${res.status}`);
+    if (typeof WebAssembly.compileStreaming === "function") {
+      try {
+        return await WebAssembly.compileStreaming(res.clone());
+      } catch {
+        // Most likely served without `application/wasm`, retry from bytes
+      }
+    }
+    return this._compileBytes(await res.arrayBuffer());
+  }
+
+  _compileBytes(bytes) {
+    const u8 = ArrayBuffer.isView(bytes)
+      ? new Uint8Array(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+      : new Uint8Array(bytes);
+    // Components share the magic number but have layer 1 in bytes 6..7
+    if (u8.length >= 8 && u8[4] === 0x0d && u8[6] === 0x01)
+      throw new Error(
+        "[Emlite] this is a wasm component, load it with emlite/wasip2adapter"
+      );
+    return WebAssembly.compile(bytes);
+  }
+
+  _linkImports(module, wasi, imports = {}) {
+    const descs = WebAssembly.Module.imports(module);
+    // A guest that imports the tag catches what the imports throw
+    this._wasmExceptions =
+      this._exceptionTag !== null &&
+      descs.some(
+        (d) =>
+          d.module === "env" &&
+          d.name === "emlite_exception_tag" &&
+          d.kind === "tag"
+      );
+    const linked = { env: this.env };
+    if (wasi) linked.wasi_snapshot_preview1 = wasi.wasiImport;
+    for (const [ns, fields] of Object.entries(imports))
+      linked[ns] = { ...linked[ns], ...fields };
+    if (
+      !linked.wasi_snapshot_preview1 &&
+      descs.some((d) => d.module === "wasi_snapshot_preview1")
+    )
+      throw new Error(
+        "[Emlite] the module imports wasi_snapshot_preview1, pass a WASI instance as `wasi`"
+      );
+    const missing = descs.filter(
+      (d) => !(d.module in linked) || !(d.name in linked[d.module])
+    );
+    if (missing.length !== 0)
+      throw new Error(
+        "[Emlite] unresolved imports:\n" +
+          missing.map((d) => `  ${d.module}.${d.name} (${d.kind})`).join("\n")
+      );
+    return linked;
+  }
+
+  async _instantiate(source, { wasi, imports, start = true } = {}) {
+    let module = await this._compile(source);
+    // A cached binary built for another bridge version, or whose version
+    // wasn't recorded, is thrown away and fetched again before it's
+    // instantiated into this memory and table
+    if (
+      this._fromCache &&
+      this._cachedTarget !== null &&
+      this._cachedTarget !== EMLITE_VERSION
+    ) {
+      await this._cache.delete(this._cacheKey);
+      module = await this._compile(source);
+    }
+    const instance = await WebAssembly.instantiate(
+      module,
+      this._linkImports(module, wasi, imports)
+    );
+    if (this._cache && !this._fromCache && this._cacheKey !== undefined)
+      await this._cache.setTarget(
+        this._cacheKey,
+        instance.exports.emlite_target?.() ?? null
+      );
+    this.module = module;
+    this.instance = instance;
+    this.setExports(instance.exports);
+    if (start) this._start(instance, wasi);
+    return { instance, module };
   }
 
   /**
-   * read a file from a URL
-   * @param {URL} url
-   * @return {ArrayBuffer}
+   * Swap in a rebuilt module for development, keeping this instance's handle
+   * table, memory and JS-side objects. The new module's entry point runs
+   * (without resetting the handle table), then its optional
+   * `void emlite_on_reload(void)` export, where native code can find its
+   * objects again and re-point callbacks with emlite_val_rebind_callback.
+   * Callbacks that aren't re-pointed become inert, and native classes,
+   * accessors and promise continuations of the old module throw.
+   * @param {URL|string|Response|BufferSource|WebAssembly.Module} source
+   * @param {Object} opts - `wasi`, `imports` and `start`, as for Emlite.instantiate
+   * @returns {Promise<{instance: WebAssembly.Instance, module: WebAssembly.Module}>}
    */
-  async readFile(url) {
-    if (this.isBrowser()) {
-      let buf = await fetch(url);
-      return await buf.arrayBuffer();
-    } else {
-      const { readFile } = await this.dynamicImport("node:fs/promises");
-      const buf = await readFile(url);
-      // Return an ArrayBuffer view over the Buffer bytes
-      return buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength);
+  async reload(source, { wasi, imports, start = true } = {}) {
+    const module = await this._compile(source);
+    const instance = await WebAssembly.instantiate(
+      module,
+      this._linkImports(module, wasi, imports)
+    );
+    this._generation++;
+    this._pending = null;
+    // Views point into the old module's data
+    this._memViews.clear();
+    this.module = module;
+    this.instance = instance;
+    this.setExports(instance.exports);
+    this._reloading = true;
+    try {
+      if (start) this._start(instance, wasi);
+      instance.exports.emlite_on_reload?.();
+    } finally {
+      this._reloading = false;
+    }
+    return { instance, module };
+  }
+
+  _start(instance, wasi) {
+    const ex = instance.exports;
+    try {
+      if (typeof ex._start === "function") {
+        if (wasi) wasi.start(instance);
+        else ex._start();
+        return;
+      }
+      if (typeof ex._initialize === "function") {
+        if (wasi?.initialize) wasi.initialize(instance);
+        else ex._initialize();
+      }
+      if (typeof ex.main === "function") ex.main();
+    } catch (e) {
+      throw this.exceptionValue(e);
     }
   }
 
   _ensureViewsFresh() {
-    if (this._u8.buffer !== this._memory.buffer) {
+    // A shared memory grown by another thread keeps the old buffer usable,
+    // only shorter than the memory now is
+    const b = this._memory.buffer;
+    if (this._u8.buffer !== b || this._u8.length !== b.byteLength) {
       this._updateViews();
     }
   }
 
+  /** The linear memory used by this instance. @returns {WebAssembly.Memory} */
+  get memory() {
+    return this._memory;
+  }
+
   _updateViews() {
     const b = this._memory.buffer;
 
@@ -118,6 +1613,7 @@ export class Emlite {
     this._u32 = new Uint32Array(b);
     this._f32 = new Float32Array(b);
     this._f64 = new Float64Array(b);
+    this._u64 = new BigUint64Array(b);
 
     if (this._exposeHeaps) {
       globalThis.HEAP8 = this._i8;
@@ -129,6 +1625,114 @@ export class Emlite {
       globalThis.HEAPF32 = this._f32;
       globalThis.HEAPF64 = this._f64;
     }
+    this._refreshMemViews();
+  }
+
+  // Stop following the typed array behind `h` once its handle is released
+  _releaseMemView(h) {
+    const v = this._memViews.get(h);
+    if (v && this._valmap._h2e.get(h)?.value !== v.view)
+      this._memViews.delete(h);
+  }
+
+  // Growing memory detaches the old buffer, so re-create the typed arrays the
+  // guest made over it in place, under the same handles
+  _refreshMemViews() {
+    for (const [h, v] of this._memViews) {
+      if (!this._valmap || this._valmap._h2e.get(h)?.value !== v.view) {
+        this._memViews.delete(h);
+        continue;
+      }
+      v.view = new TYPED_ARRAYS[v.kind](this._memory.buffer, v.ptr, v.len);
+      this._valmap.replace(h, v.view);
+    }
+  }
+
+  // Pointers and sizes cross into a memory64 guest as BigInt
+  _ptrOut(n) {
+    return this._mem64 ? BigInt(n) : n;
+  }
+
+  _ptrIn(p) {
+    return typeof p === "bigint" ? Number(p) : p >>> 0;
+  }
+
+  /**
+   * The guest's allocator exports: emlite_malloc and emlite_free, or
+   * whatever a subclass hosting another runtime provides
+   * @returns {{malloc?: Function, free?: Function}}
+   */
+  _allocator() {
+    return {
+      malloc: this.exports.emlite_malloc,
+      free: this.exports.emlite_free,
+    };
+  }
+
+  /** The guest's malloc, taking and returning Numbers for either pointer size */
+  _malloc(size) {
+    return this._ptrIn(this._allocator().malloc(this._ptrOut(size)));
+  }
+
+  _free(ptr) {
+    this._allocator().free?.(this._ptrOut(ptr));
+  }
+
+  // Store a size_t at `ptr`
+  _storeSize(ptr, n) {
+    this._ensureViewsFresh();
+    if (this._mem64) this._u64[ptr / 8] = BigInt(n);
+    else this._u32[ptr / 4] = n;
+  }
+
+  // Load a pointer stored at `ptr`
+  _loadPtr(ptr) {
+    this._ensureViewsFresh();
+    return this._mem64 ? Number(this._u64[ptr / 8]) : this._u32[ptr / 4];
+  }
+
+  /**
+   * Wrap the env imports of a memory64 guest so that the pointers and sizes
+   * they take and return are BigInts, while the imports themselves see
+   * Numbers
+   * @param {Record<string, any>} imports
+   * @returns {Record<string, any>}
+   */
+  _memory64Imports(imports) {
+    if (!this._mem64) return imports;
+    const out = {};
+    for (const [name, fn] of Object.entries(imports)) {
+      const ptrArgs = POINTER_ARGS[name];
+      const ptrResult = POINTER_RESULTS.has(name);
+      if (typeof fn !== "function" || (!ptrArgs && !ptrResult)) {
+        out[name] = fn;
+        continue;
+      }
+      out[name] = (...args) => {
+        if (ptrArgs) for (const i of ptrArgs) args[i] = Number(args[i]);
+        const ret = fn(...args);
+        return ptrResult ? BigInt(ret) : ret;
+      };
+    }
+    return out;
+  }
+
+  /**
+   * Copy bytes into a fresh emlite_malloc allocation
+   * @param {Uint8Array} bytes
+   * @returns {Number} - offset of the copy in wasm's memory, 0 if empty
+   */
+  _copyBytesToWasm(bytes) {
+    if (bytes.length === 0) return 0;
+    if (typeof this._allocator().malloc === "undefined")
+      throw new Error("copying to wasm requires emlite_malloc");
+    // A view over wasm memory is detached if malloc grows it
+    if (bytes.buffer === this._memory.buffer) bytes = bytes.slice();
+    const ptr = this._malloc(bytes.length);
+    if (ptr === 0) throw new Error("malloc failed in _copyBytesToWasm");
+    this._ensureViewsFresh();
+    this._u8.set(bytes, ptr);
+    return ptr;
   }
 
   /**
@@ -171,6 +1775,70 @@ export class Emlite {
     return dec_16.decode(this._u8.subarray(ptr, ptr + len * 2));
   }
 
+  /**
+   * Convert a null-terminated C string to a javascript string
+   * @param {Number} ptr - represents an offset in wasm's memory
+   * @returns {string} returns a javascript string
+   */
+  _cStrZ(ptr) {
+    this._ensureViewsFresh();
+    const end = this._u8.indexOf(0, ptr);
+    return dec.decode(this._u8.subarray(ptr, end < 0 ? ptr : end));
+  }
+
+  /**
+   * Convert a null-terminated UTF-16 C string to a javascript string
+   * @param {Number} ptr - represents an offset in wasm's memory (char16_t*)
+   * @returns {string} returns a javascript string
+   */
+  _cStrZ16(ptr) {
+    this._ensureViewsFresh();
+    let end = ptr / 2;
+    while (this._u16[end] !== 0) end++;
+    return dec_16.decode(this._u8.subarray(ptr, end * 2));
+  }
+
+  /**
+   * Wrap a thrown C++ object in a CppException.
+   * The type name comes from the std::type_info (vtable pointer, then the name
+   * pointer); the message from the guest's optional
+   * `const char *emlite_exception_what(void *thrown, const std::type_info *)`
+   * export, which should return 0 for types not derived from std::exception.
+   */
+  _makeCppException(ptr, type, destructor) {
+    let typeName = "unknown";
+    let what;
+    if (type !== 0) {
+      this._ensureViewsFresh();
+      const name = this._loadPtr(type + (this._mem64 ? 8 : 4));
+      typeName = demangleTypeName(this._cStrZ(name).replace(/^\*/, ""));
+    }
+    if (typeof this.exports.emlite_exception_what === "function") {
+      const msg = this._ptrIn(
+        this.exports.emlite_exception_what(
+          this._ptrOut(ptr),
+          this._ptrOut(type)
+        )
+      );
+      if (msg !== 0) what = this._cStrZ(msg);
+    }
+    const generation = this._generation;
+    return new CppException({
+      ptr,
+      type,
+      typeName,
+      what,
+      release: (p) => {
+        if (generation !== this._generation) return;
+        if (destructor !== 0)
+          this.exports.__indirect_function_table.get(destructor)(
+            this._ptrOut(p)
+          );
+        this._free(p);
+      },
+    });
+  }
+
   /**
    * Convert a javascript string to a C string
    * @param {string} str - The javascript string
@@ -179,9 +1847,9 @@ export class Emlite {
   copyStringToWasm(str) {
     if (!str || !(typeof str === "string" || str instanceof String)) return 0;
     this._ensureViewsFresh();
-    if (typeof this.exports.emlite_malloc !== "undefined") {
+    if (typeof this._allocator().malloc !== "undefined") {
       const utf8 = enc.encode(str + "\0");
-      const ptr = this.exports.emlite_malloc(utf8.length);
+      const ptr = this._malloc(utf8.length);
       if (ptr === 0) throw new Error("malloc failed in copyStringToWasm");
       // new Uint8Array(this._memory.buffer).set(utf8, ptr);
       this._u8.set(utf8, ptr);
@@ -199,16 +1867,16 @@ export class Emlite {
   copyStringToWasmUtf16(str) {
     if (!str || !(typeof str === "string" || str instanceof String)) return 0;
     this._ensureViewsFresh();
-    if (typeof this.exports.emlite_malloc !== "undefined") {
+    if (typeof this._allocator().malloc !== "undefined") {
       // Each char16_t is 2 bytes, +1 for null terminator
       const byteLength = (str.length + 1) * 2;
-      const ptr = this.exports.emlite_malloc(byteLength);
+      const ptr = this._malloc(byteLength);
       if (ptr === 0) throw new Error("malloc failed in copyStringToWasmUtf16");
 
       // Ensure 2-byte alignment
       if (ptr % 2 !== 0) throw new Error("UTF-16 string not properly aligned");
 
-      const startIdx = ptr >>> 1;
+      const startIdx = ptr / 2;
       // Copy string characters
       for (let i = 0; i < str.length; i++) {
         this._u16[startIdx + i] = str.charCodeAt(i);
@@ -224,120 +1892,113 @@ export class Emlite {
 
   /** Returns the env required for wasm instantiation. @returns {Object} env object */
   get env() {
+    const core = this._instrument(this._coreImports());
+    return {
+      memory: this._memory,
+      ...(this._exceptionTag && { emlite_exception_tag: this._exceptionTag }),
+      ...this._memory64Imports(
+        this._wasmExceptions ? this._catchable(core) : core
+      ),
+      ...this._extraEnv,
+    };
+  }
+
+  // The emlite `env` imports, without instrumentation
+  _coreImports() {
+    // Guest functions from before a reload refuse to run (see reload)
+    const current = (fn) => {
+      const generation = this._generation;
+      return (...args) => {
+        if (generation !== this._generation)
+          throw new Error(
+            "[Emlite] calling into a module that has been reloaded"
+          );
+        return fn(...args);
+      };
+    };
+    // Errors raised by the guest (e.g. through emlite_val_throw) propagate to
+    // the JS caller rather than being returned
+    const invoke = (fidx) =>
+      current((args, data) => {
+        const arrHandle = this._valmap.add(args.map((v) => v));
+        try {
+          return this._tableFn(fidx)(arrHandle, data);
+        } catch (e) {
+          throw norm(this.exceptionValue(e));
+        }
+      });
+    const argsOf = (argvRef) =>
+      this._valmap.get(argvRef).map((h) => this._valmap.get(h));
+    // *_checked imports return 1 and store the result handle at `outPtr`, or
+    // return 0 and leave the error for emlite_val_take_exception
+    const checked = (fn, outPtr) => {
+      this._ensureViewsFresh();
+      const r = this._tryCall(fn);
+      if (r.ok) {
+        this._ensureViewsFresh();
+        this._u32[outPtr / 4] = r.value;
+      }
+      return r.ok ? 1 : 0;
+    };
+    // Optional `void emlite_callback_dtor(Handle data)` export
+    const dropCore = (data) => this.exports?.emlite_callback_dtor?.(data);
+    const owned = (h) => this._owned(h);
+    // Calls a native class member `Handle (*)(Handle argv, uint32_t ptr)`
+    const rawCall = (fidx, args, ptr) => {
+      const argv = args ? this._valmap.add(args) : 0;
+      try {
+        return this._tableFn(fidx)(argv, this._ptrOut(ptr));
+      } catch (e) {
+        throw norm(this.exceptionValue(e));
+      }
+    };
+    // Stores the value of an unfinished iterator result at `valuePtr`
+    const step = (result, valuePtr) => {
+      const { done, value } = iterResult(result);
+      if (done) return 1;
+      const h = this._valmap.add(value);
+      this._ensureViewsFresh();
+      this._u32[valuePtr / 4] = h;
+      return 0;
+    };
     const core = {
-      __cxa_allocate_exception: () => {},
-      __cxa_free_exception: () => {},
-      __cxa_throw: () => {},
+      __cxa_allocate_exception: (size) => {
+        if (typeof this._allocator().malloc === "undefined")
+          throw new Error("__cxa_allocate_exception requires emlite_malloc");
+        const ptr = this._malloc(size);
+        if (ptr === 0)
+          throw new Error("malloc failed in __cxa_allocate_exception");
+        return ptr;
+      },
+      __cxa_free_exception: (ptr) => this._free(ptr),
+      __cxa_throw: (ptr, type, destructor) => {
+        throw this._makeCppException(ptr, type, destructor);
+      },
       __cxa_atexit: () => {},
 
+      // Handles outlive a reload
       emlite_init_handle_table: () => {
-        class HandleTable {
-          constructor() {
-            this._h2e = new Map();
-            this._v2h = new Map();
-            this._next = 0;
-          }
-
-          _newEntry(value) {
-            const h = this._next++;
-            this._h2e.set(h, { value, refs: 1 });
-            this._v2h.set(value, h);
-            return h;
-          }
-
-          add(value) {
-            if (this._v2h.has(value)) {
-              const h = this._v2h.get(value);
-              ++this._h2e.get(h).refs;
-              return h;
-            }
-            return this._newEntry(value);
-          }
-
-          decRef(h) {
-            const e = this._h2e.get(h);
-            if (!e) return false;
-
-            if (--e.refs === 0) {
-              this._h2e.delete(h);
-              this._v2h.delete(e.value);
-            }
-            return true;
-          }
-
-          incRef(h) {
-            const e = this._h2e.get(h);
-            if (e) ++e.refs;
-          }
-
-          get(h) {
-            return this._h2e.get(h)?.value;
-          }
-          toHandle(value) {
-            return this.add(value);
-          }
-          toValue(h) {
-            return this.get(h);
-          }
-          has(value) {
-            return this._v2h.has(value);
-          }
-          get size() {
-            return this._h2e.size;
-          }
-          [Symbol.iterator]() {
-            return this._h2e.values();
-          }
-        }
-
-        const EMLITE_VALMAP = new HandleTable();
-        EMLITE_VALMAP.add(null);
-        EMLITE_VALMAP.add(undefined);
-        EMLITE_VALMAP.add(false);
-        EMLITE_VALMAP.add(true);
-        EMLITE_VALMAP.add(globalThis);
-        EMLITE_VALMAP.add(console);
-        EMLITE_VALMAP.add(Symbol("_EMLITE_RESERVED_"));
-        globalThis.EMLITE_VALMAP = EMLITE_VALMAP;
-
-        function normalizeThrown(e) {
-          if (e instanceof Error) return e;
-          try {
-            const err = new Error(String(e));
-            if (e && typeof e === "object") {
-              if ("name" in e) err.name = e.name;
-              if ("code" in e) err.code = e.code;
-            }
-            err.cause = e;
-            return err;
-          } catch {
-            return new Error("Unknown JS exception");
-          }
-        }
-        globalThis.normalizeThrown = normalizeThrown;
+        if (!this._reloading) this._initHandleTable();
       },
 
-      emlite_val_new_array: () => globalThis.EMLITE_VALMAP.add([]),
-      emlite_val_new_object: () => globalThis.EMLITE_VALMAP.add({}),
-      emlite_val_make_bool: (value) => globalThis.EMLITE_VALMAP.add(!!value),
-      emlite_val_make_int: (value) => globalThis.EMLITE_VALMAP.add(value | 0), // 32-bit signed: -2^31 to 2^31-1
-      emlite_val_make_uint: (value) =>
-        globalThis.EMLITE_VALMAP.add(value >>> 0), // 32-bit unsigned: 0 to 2^32-1
-      emlite_val_make_bigint: (value) =>
-        globalThis.EMLITE_VALMAP.add(BigInt(value)), // 64-bit signed BigInt
+      emlite_val_new_array: () => this._valmap.add([]),
+      emlite_val_new_object: () => this._valmap.add({}),
+      emlite_val_make_bool: (value) => this._valmap.add(!!value),
+      emlite_val_make_int: (value) => this._valmap.add(value | 0), // 32-bit signed: -2^31 to 2^31-1
+      emlite_val_make_uint: (value) => this._valmap.add(value >>> 0), // 32-bit unsigned: 0 to 2^32-1
+      emlite_val_make_bigint: (value) => this._valmap.add(BigInt(value)), // 64-bit signed BigInt
       emlite_val_make_biguint: (value) => {
         let x = BigInt(value); // may be negative due to signed i64 view
         if (x < 0n) x += 1n << 64n; // normalize to [0, 2^64-1]
-        return globalThis.EMLITE_VALMAP.add(x);
+        return this._valmap.add(x);
       },
-      emlite_val_make_double: (n) => globalThis.EMLITE_VALMAP.add(n),
-      emlite_val_make_str: (ptr, len) =>
-        globalThis.EMLITE_VALMAP.add(this.cStr(ptr, len)),
+      emlite_val_make_double: (n) => this._valmap.add(n),
+      emlite_val_make_str: (ptr, len) => this._valmap.add(this.cStr(ptr, len)),
       emlite_val_make_str_utf16: (ptr, len) =>
-        globalThis.EMLITE_VALMAP.add(this.cStrUtf16(ptr, len)),
+        this._valmap.add(this.cStrUtf16(ptr, len)),
 
       emlite_val_get_value_int: (n) => {
-        const val = globalThis.EMLITE_VALMAP.get(n);
+        const val = this._valmap.get(n);
         if (typeof val === "bigint") {
           // Preserve lower 32 bits and signedness without precision loss
           return Number(BigInt.asIntN(32, val));
@@ -345,7 +2006,7 @@ export class Emlite {
         return val | 0; // 32-bit signed conversion
       },
       emlite_val_get_value_uint: (n) => {
-        const val = globalThis.EMLITE_VALMAP.get(n);
+        const val = this._valmap.get(n);
         if (typeof val === "bigint") {
           // Preserve lower 32 bits as unsigned without precision loss
           return Number(BigInt.asUintN(32, val));
@@ -353,217 +2014,506 @@ export class Emlite {
         return val >>> 0; // 32-bit unsigned conversion
       },
       emlite_val_get_value_bigint: (h) => {
-        const v = globalThis.EMLITE_VALMAP.get(h);
+        const v = this._valmap.get(h);
         if (typeof v === "bigint") return v; // already BigInt
         return BigInt(Math.trunc(Number(v))); // coerce number → BigInt
       },
       emlite_val_get_value_biguint: (h) => {
-        const v = globalThis.EMLITE_VALMAP.get(h);
+        const v = this._valmap.get(h);
         if (typeof v === "bigint") return v >= 0n ? v : 0n; // clamp negative
         const n = Math.trunc(Number(v));
         return BigInt(n >= 0 ? n : 0); // clamp to unsigned
       },
-      emlite_val_get_value_double: (n) =>
-        Number(globalThis.EMLITE_VALMAP.get(n)),
+      emlite_val_get_value_double: (n) => Number(this._valmap.get(n)),
       emlite_val_get_value_string: (n) =>
-        this.copyStringToWasm(globalThis.EMLITE_VALMAP.get(n)),
+        this.copyStringToWasm(this._valmap.get(n)),
       emlite_val_get_value_string_utf16: (n) =>
-        this.copyStringToWasmUtf16(globalThis.EMLITE_VALMAP.get(n)),
-      emlite_val_get_value_bool: (h) =>
-        globalThis.EMLITE_VALMAP.get(h) ? 1 : 0,
+        this.copyStringToWasmUtf16(this._valmap.get(n)),
+      emlite_val_get_value_bool: (h) => (this._valmap.get(h) ? 1 : 0),
       emlite_val_typeof: (n) =>
-        this.copyStringToWasm(typeof globalThis.EMLITE_VALMAP.get(n)),
+        this.copyStringToWasm(typeof this._valmap.get(n)),
 
       emlite_val_push: (arrRef, valRef) => {
+        this._ensureViewsFresh();
         try {
-          globalThis.EMLITE_VALMAP.get(arrRef).push(valRef);
+          this._valmap.get(arrRef).push(valRef);
         } catch {
           /* empty */
         }
       },
-      emlite_val_get: (n, idx) =>
-        globalThis.EMLITE_VALMAP.add(
-          globalThis.EMLITE_VALMAP.get(n)[globalThis.EMLITE_VALMAP.get(idx)]
-        ),
-      emlite_val_set: (n, idx, valRef) =>
-        (globalThis.EMLITE_VALMAP.get(n)[globalThis.EMLITE_VALMAP.get(idx)] =
-          globalThis.EMLITE_VALMAP.get(valRef)),
+      emlite_val_get: (n, idx) => {
+        this._ensureViewsFresh();
+        const key = this._checkKey(this._valmap.get(idx));
+        return this._valmap.add(this._valmap.get(n)[key]);
+      },
+      emlite_val_set: (n, idx, valRef) => {
+        this._ensureViewsFresh();
+        const key = this._checkKey(this._valmap.get(idx));
+        this._valmap.get(n)[key] = this._valmap.get(valRef);
+      },
       emlite_val_has: (objRef, valRef) => {
+        this._ensureViewsFresh();
         try {
           return Reflect.has(
-            globalThis.EMLITE_VALMAP.get(objRef),
-            globalThis.EMLITE_VALMAP.get(valRef)
+            this._valmap.get(objRef),
+            this._valmap.get(valRef)
           );
         } catch {
           return false;
         }
       },
-      emlite_val_not: (arg) => !globalThis.EMLITE_VALMAP.get(arg),
+      emlite_val_not: (arg) => !this._valmap.get(arg),
       emlite_val_is_string: (arg) => {
-        const obj = globalThis.EMLITE_VALMAP.get(arg);
+        const obj = this._valmap.get(arg);
         return typeof obj === "string" || obj instanceof String;
       },
       emlite_val_is_number: (arg) => {
-        const obj = globalThis.EMLITE_VALMAP.get(arg);
+        const obj = this._valmap.get(arg);
         return typeof obj === "number" || obj instanceof Number;
       },
       emlite_val_is_bool: (h) => {
-        const v = globalThis.EMLITE_VALMAP.get(h);
+        const v = this._valmap.get(h);
         return (typeof v === "boolean" || v instanceof Boolean) | 0;
       },
-      emlite_val_gt: (a, b) =>
-        globalThis.EMLITE_VALMAP.get(a) > globalThis.EMLITE_VALMAP.get(b),
-      emlite_val_gte: (a, b) =>
-        globalThis.EMLITE_VALMAP.get(a) >= globalThis.EMLITE_VALMAP.get(b),
-      emlite_val_lt: (a, b) =>
-        globalThis.EMLITE_VALMAP.get(a) < globalThis.EMLITE_VALMAP.get(b),
-      emlite_val_lte: (a, b) =>
-        globalThis.EMLITE_VALMAP.get(a) <= globalThis.EMLITE_VALMAP.get(b),
-      emlite_val_equals: (a, b) =>
-        globalThis.EMLITE_VALMAP.get(a) == globalThis.EMLITE_VALMAP.get(b),
+      emlite_val_gt: (a, b) => this._valmap.get(a) > this._valmap.get(b),
+      emlite_val_gte: (a, b) => this._valmap.get(a) >= this._valmap.get(b),
+      emlite_val_lt: (a, b) => this._valmap.get(a) < this._valmap.get(b),
+      emlite_val_lte: (a, b) => this._valmap.get(a) <= this._valmap.get(b),
+      emlite_val_equals: (a, b) => this._valmap.get(a) == this._valmap.get(b),
       emlite_val_strictly_equals: (a, b) =>
-        globalThis.EMLITE_VALMAP.get(a) === globalThis.EMLITE_VALMAP.get(b),
+        this._valmap.get(a) === this._valmap.get(b),
       emlite_val_instanceof: (a, b) =>
-        globalThis.EMLITE_VALMAP.get(a) instanceof
-        globalThis.EMLITE_VALMAP.get(b),
+        this._valmap.get(a) instanceof this._valmap.get(b),
       emlite_val_obj_has_own_prop: (objRef, pPtr, pLen) => {
-        const target = globalThis.EMLITE_VALMAP.get(objRef);
+        this._ensureViewsFresh();
+        const target = this._valmap.get(objRef);
         const prop = this.cStr(pPtr, pLen);
         return Object.prototype.hasOwnProperty.call(target, prop);
       },
-      emlite_val_inc_ref: (h) => globalThis.EMLITE_VALMAP.incRef(h),
+      // Native classes (see Emlite._beginClass). Members are function table
+      // indices; emlite_val_class_end publishes the class on `target`.
+      emlite_val_class_begin: (namePtr, nameLen, ctorFidx, dtorFidx) =>
+        this._valmap.add(
+          this._beginClass(
+            this.cStr(namePtr, nameLen),
+            current(rawCall),
+            ctorFidx,
+            dtorFidx
+          )
+        ),
+      emlite_val_class_method: (cls, namePtr, nameLen, fidx, isStatic) =>
+        this._classMethod(
+          this._valmap.get(cls),
+          this.cStr(namePtr, nameLen),
+          fidx,
+          isStatic
+        ),
+      emlite_val_class_property: (cls, namePtr, nameLen, getFidx, setFidx) =>
+        this._classProperty(
+          this._valmap.get(cls),
+          this.cStr(namePtr, nameLen),
+          getFidx,
+          setFidx
+        ),
+      emlite_val_class_end: (cls, target) =>
+        this._endClass(this._valmap.get(cls), this._valmap.get(target)),
+      emlite_val_native_ptr: (h) => this.nativePtr(this._valmap.get(h)),
+      // Reflection. Keys are handles to strings or symbols.
+      emlite_val_define_property: (objRef, keyRef, valRef, flags) =>
+        Reflect.defineProperty(
+          this._valmap.get(objRef),
+          this._checkKey(this._valmap.get(keyRef)),
+          descriptorOf(flags, {
+            value: this._valmap.get(valRef),
+            writable: (flags & PropertyFlags.WRITABLE) !== 0,
+          })
+        ),
+      // Accessor property calling `Handle (*)(Handle argv, Handle data)`
+      // callbacks (see Emlite._accessors); a zero table index omits that side
+      emlite_val_define_accessor: (
+        objRef,
+        keyRef,
+        getFidx,
+        setFidx,
+        data,
+        flags
+      ) =>
+        Reflect.defineProperty(
+          this._valmap.get(objRef),
+          this._checkKey(this._valmap.get(keyRef)),
+          descriptorOf(
+            flags,
+            this._accessors(
+              (fidx) => (args, d) => owned(invoke(fidx)(args, d)),
+              getFidx,
+              setFidx,
+              data,
+              dropCore
+            )
+          )
+        ),
+      emlite_val_delete_property: (objRef, keyRef) =>
+        Reflect.deleteProperty(
+          this._valmap.get(objRef),
+          this._checkKey(this._valmap.get(keyRef))
+        ),
+      emlite_val_get_own_property_descriptor: (objRef, keyRef) => {
+        this._ensureViewsFresh();
+        const key = this._checkKey(this._valmap.get(keyRef));
+        return this._valmap.add(
+          Reflect.getOwnPropertyDescriptor(this._valmap.get(objRef), key)
+        );
+      },
+      emlite_val_own_keys: (objRef) =>
+        this._valmap.add(Reflect.ownKeys(this._valmap.get(objRef))),
+      // Prototypes count as the `__proto__` property for the sandbox
+      emlite_val_get_prototype: (objRef) => {
+        this._checkKey("__proto__");
+        return this._valmap.add(
+          Reflect.getPrototypeOf(this._valmap.get(objRef))
+        );
+      },
+      emlite_val_set_prototype: (objRef, protoRef) => {
+        this._checkKey("__proto__");
+        return Reflect.setPrototypeOf(
+          this._valmap.get(objRef),
+          this._valmap.get(protoRef)
+        );
+      },
+      emlite_val_symbol_for: (ptr, len) =>
+        this._valmap.add(Symbol.for(this.cStr(ptr, len))),
+      // `iterator` for Symbol.iterator, and so on
+      emlite_val_well_known_symbol: (ptr, len) =>
+        this._valmap.add(wellKnownSymbol(this.cStr(ptr, len))),
+      emlite_val_inc_ref: (h) => this._valmap.incRef(h),
       emlite_val_dec_ref: (h) => {
-        if (h > RESERVED_MAX) globalThis.EMLITE_VALMAP.decRef(h);
+        // The guest is done with an exception it caught
+        if (this._pending?.handle === h) this._pending = null;
+        if (h > RESERVED_MAX) this._valmap.decRef(h);
+        this._releaseMemView(h);
       },
       emlite_val_throw: (n) => {
-        throw globalThis.EMLITE_VALMAP.get(n);
+        throw this._valmap.get(n);
       },
-
-      emlite_val_make_callback: (fidx, data) => {
-        const jsFn = (...args) => {
-          const arrHandle = globalThis.EMLITE_VALMAP.add(args.map((v) => v));
-          let ret;
-          try {
-            ret = this.exports.__indirect_function_table.get(fidx)(
-              arrHandle,
-              data
-            );
-          } catch (e) {
-            ret = norm(e);
-          }
-          return ret;
-        };
-        return globalThis.EMLITE_VALMAP.add(jsFn);
+      // Recover the thrown object of a C++ exception that came back as a handle
+      // (e.g. from a callback invoked by emlite_val_func_call), or 0.
+      emlite_val_cpp_exception_ptr: (n) => {
+        const ex = this._valmap.get(n);
+        return ex instanceof CppException ? ex.ptr : 0;
       },
 
+      emlite_val_make_callback: (fidx, data) =>
+        this._valmap.add(this._wrapCallback(invoke(fidx), data, dropCore)),
+      emlite_val_make_callback_once: (fidx, data) =>
+        this._valmap.add(
+          this._wrapCallback(invoke(fidx), data, dropCore, true)
+        ),
+      emlite_val_revoke_callback: (h) =>
+        this.revokeCallback(this._valmap.get(h)),
+      // Re-points a callback at `Handle (*)(Handle argv, Handle data)`
+      emlite_val_rebind_callback: (h, fidx, data) =>
+        this._rebindCallback(this._valmap.get(h), invoke(fidx), data, dropCore),
+      // Iteration. These return 0 (null) for values that aren't iterable, or
+      // async iterable.
+      emlite_val_iter: (h) => {
+        this._ensureViewsFresh();
+        const v = this._valmap.get(h);
+        const f = v?.[Symbol.iterator];
+        return typeof f === "function" ? this._valmap.add(f.call(v)) : 0;
+      },
+      emlite_val_async_iter: (h) => {
+        const v = this._valmap.get(h);
+        const f = v?.[Symbol.asyncIterator];
+        return typeof f === "function" ? this._valmap.add(f.call(v)) : 0;
+      },
+      // Returns 1 once the iterator is done, otherwise stores a handle to the
+      // next value at `valuePtr` and returns 0
+      emlite_val_iter_next: (it, valuePtr) =>
+        step(this._valmap.get(it).next(), valuePtr),
+      // Promise of an async iterator's next result, to be awaited and then
+      // unpacked with emlite_val_iter_result
+      emlite_val_async_iter_next: (it) =>
+        this._valmap.add(this._valmap.get(it).next()),
+      emlite_val_iter_result: (result, valuePtr) =>
+        step(this._valmap.get(result), valuePtr),
+      // Closes an iterator early, returning what its `return()` does (a
+      // promise for async iterators), or undefined if it has none
+      emlite_val_iter_return: (it) => {
+        const v = this._valmap.get(it);
+        return typeof v.return === "function"
+          ? this._valmap.add(v.return())
+          : 1;
+      },
+      // Iterator whose values come from calling the guest callback
+      // `Handle (*)(Handle argv, Handle data)`, until it returns handle 6
+      emlite_val_make_iterable: (fidx, data) =>
+        this._valmap.add(
+          this._nativeIterator(
+            this._wrapCallback(invoke(fidx), data, dropCore),
+            owned
+          )
+        ),
+
       emlite_val_obj_call: (objRef, mPtr, mLen, argvRef) => {
-        const target = globalThis.EMLITE_VALMAP.get(objRef);
+        this._ensureViewsFresh();
+        const target = this._valmap.get(objRef);
         const method = this.cStr(mPtr, mLen);
-        const args = globalThis.EMLITE_VALMAP.get(argvRef).map((h) =>
-          globalThis.EMLITE_VALMAP.get(h)
-        );
+        const args = this._valmap.get(argvRef).map((h) => this._valmap.get(h));
         let ret;
         try {
+          this._checkKey(method);
+          this._checkCall(target[method], target, args);
           ret = Reflect.apply(target[method], target, args);
         } catch (e) {
           ret = norm(e);
         }
-        return globalThis.EMLITE_VALMAP.add(ret);
+        return this._valmap.add(ret);
       },
       emlite_val_construct_new: (objRef, argvRef) => {
-        const target = globalThis.EMLITE_VALMAP.get(objRef);
-        const args = globalThis.EMLITE_VALMAP.get(argvRef).map((h) =>
-          globalThis.EMLITE_VALMAP.get(h)
-        );
+        this._ensureViewsFresh();
+        const target = this._valmap.get(objRef);
+        const args = this._valmap.get(argvRef).map((h) => this._valmap.get(h));
         let ret;
         try {
+          this._checkConstructor(target);
           ret = Reflect.construct(target, args);
         } catch (e) {
           ret = norm(e);
         }
-        return globalThis.EMLITE_VALMAP.add(ret);
+        return this._valmap.add(ret);
       },
       emlite_val_func_call: (objRef, argvRef) => {
-        const target = globalThis.EMLITE_VALMAP.get(objRef);
-        const args = globalThis.EMLITE_VALMAP.get(argvRef).map((h) =>
-          globalThis.EMLITE_VALMAP.get(h)
-        );
+        this._ensureViewsFresh();
+        const target = this._valmap.get(objRef);
+        const args = this._valmap.get(argvRef).map((h) => this._valmap.get(h));
         let ret;
         try {
+          this._checkCall(target, undefined, args);
           ret = Reflect.apply(target, undefined, args);
         } catch (e) {
           ret = norm(e);
         }
-        return globalThis.EMLITE_VALMAP.add(ret);
+        return this._valmap.add(ret);
+      },
+      emlite_val_obj_call_checked: (objRef, mPtr, mLen, argvRef, outPtr) =>
+        checked(() => {
+          const target = this._valmap.get(objRef);
+          const method = this.cStr(mPtr, mLen);
+          this._checkKey(method);
+          const args = argsOf(argvRef);
+          this._checkCall(target[method], target, args);
+          return Reflect.apply(target[method], target, args);
+        }, outPtr),
+      emlite_val_construct_new_checked: (objRef, argvRef, outPtr) =>
+        checked(() => {
+          const target = this._valmap.get(objRef);
+          this._checkConstructor(target);
+          return Reflect.construct(target, argsOf(argvRef));
+        }, outPtr),
+      emlite_val_func_call_checked: (objRef, argvRef, outPtr) =>
+        checked(() => {
+          const target = this._valmap.get(objRef);
+          const args = argsOf(argvRef);
+          this._checkCall(target, undefined, args);
+          return Reflect.apply(target, undefined, args);
+        }, outPtr),
+      emlite_val_take_exception: () => this._takeException(),
+      // Runs `nWords` i32 words of BatchOp commands in one crossing and stores
+      // the handles they produce at `outPtr`, returning how many there are
+      emlite_val_batch: (opsPtr, nWords, outPtr) =>
+        this._runBatch(opsPtr, nWords, outPtr),
+      emlite_val_is_promise: (h) => {
+        const v = this._valmap.get(h);
+        return (
+          v instanceof Promise ||
+          (v !== null &&
+            (typeof v === "object" || typeof v === "function") &&
+            typeof v.then === "function")
+        );
+      },
+      // Settles through guest continuations `Handle (*)(Handle value, Handle data)`.
+      // A zero table index skips that side. The handle a continuation returns is
+      // owned by Emlite and becomes the value of the returned promise.
+      emlite_val_promise_then: (promiseRef, onFulfilled, onRejected, data) => {
+        const cont = (fidx, rethrow) => {
+          if (fidx === 0) return rethrow;
+          return current((value) => {
+            const valueHandle = this._valmap.add(value);
+            let retHandle;
+            try {
+              retHandle = this._tableFn(fidx)(valueHandle, data);
+            } catch (e) {
+              throw this.exceptionValue(e);
+            }
+            const ret = this._valmap.get(retHandle);
+            if (retHandle > RESERVED_MAX) this._valmap.decRef(retHandle);
+            return ret;
+          });
+        };
+        // `data` is released through emlite_callback_dtor once the promise has
+        // settled and its continuation has run, unless the module has been
+        // reloaded since
+        const generation = this._generation;
+        const release = () => {
+          if (generation !== this._generation) return;
+          try {
+            dropCore(data);
+          } catch {
+            /* empty */
+          }
+        };
+        const p = Promise.resolve(this._valmap.get(promiseRef)).then(
+          cont(onFulfilled, (v) => v),
+          cont(onRejected, (e) => {
+            throw e;
+          })
+        );
+        // The cleanup chain rejects along with `p`, and nothing handles it
+        p.finally(release).catch(() => {});
+        return this._valmap.add(p);
+      },
+      // Suspends the wasm stack until the promise settles (JSPI). The export that
+      // led here must have been entered through `emlite.promising()`.
+      emlite_val_await: HAS_JSPI
+        ? new WebAssembly.Suspending(async (promiseRef) => {
+            let ret;
+            try {
+              ret = await this._valmap.get(promiseRef);
+            } catch (e) {
+              ret = norm(e);
+            }
+            return this._valmap.add(ret);
+          })
+        : () => {
+            throw new Error(
+              "emlite_val_await requires JSPI (WebAssembly.Suspending)"
+            );
+          },
+      // A typed array of `len` elements of TYPED_ARRAYS[kind] over wasm memory at
+      // `ptr`, without copying. The handle follows memory growth.
+      emlite_val_make_typed_array_view: (ptr, len, kind) => {
+        this._ensureViewsFresh();
+        const Ctor = TYPED_ARRAYS[kind];
+        if (!Ctor) throw new RangeError(`unknown typed array kind ${kind}`);
+        const view = new Ctor(this._memory.buffer, ptr, len);
+        const h = this._valmap.add(view);
+        this._memViews.set(h, { view, ptr, len, kind });
+        return h;
+      },
+      // Copies the bytes of an ArrayBuffer/TypedArray/DataView handle into an
+      // emlite_malloc'd buffer, stores the byte length at `lenPtr` (u32) and
+      // returns the buffer, or 0 when empty.
+      emlite_val_copy_to_wasm: (h, lenPtr) => {
+        this._ensureViewsFresh();
+        const bytes = bytesOf(this._valmap.get(h));
+        const ptr = this._copyBytesToWasm(bytes);
+        this._ensureViewsFresh();
+        this._storeSize(lenPtr, bytes.length);
+        return ptr;
+      },
+      // Parses UTF-8 JSON. Invalid JSON yields the SyntaxError, as a thrown
+      // exception does for emlite_val_obj_call.
+      emlite_val_from_json: (ptr, len) => {
+        let v;
+        try {
+          v = JSON.parse(this.cStr(ptr, len));
+        } catch (e) {
+          v = norm(e);
+        }
+        return this._valmap.add(v);
+      },
+      // Serializes a handle to a NUL-terminated emlite_malloc'd JSON string
+      // and stores its byte length (without the NUL) at `lenPtr`. Returns 0
+      // for values JSON has no text for, such as undefined or functions, and
+      // for values it can't serialize, such as cyclic ones, whose error is
+      // left as the pending exception.
+      emlite_val_to_json: (h, lenPtr) => {
+        this._ensureViewsFresh();
+        let json;
+        try {
+          json = toJson(this._valmap.get(h));
+        } catch (e) {
+          this._pending = { error: norm(e) };
+        }
+        const bytes = json === undefined ? null : enc.encode(json + "\0");
+        const ptr = bytes ? this._copyBytesToWasm(bytes) : 0;
+        this._ensureViewsFresh();
+        this._storeSize(lenPtr, bytes ? bytes.length - 1 : 0);
+        return ptr;
+      },
+      // Decodes a CBOR buffer (see cbor.js) into a new value, or the error
+      // when it's malformed
+      emlite_val_from_cbor: (ptr, len) => {
+        this._ensureViewsFresh();
+        let v;
+        try {
+          v = cborDecode(this._u8.subarray(ptr, ptr + len));
+        } catch (e) {
+          v = norm(e);
+        }
+        return this._valmap.add(v);
+      },
+      // Encodes a handle as CBOR into an emlite_malloc'd buffer and stores its
+      // length at `lenPtr`
+      emlite_val_to_cbor: (h, lenPtr) => {
+        this._ensureViewsFresh();
+        const bytes = cborEncode(this._valmap.get(h));
+        const ptr = this._copyBytesToWasm(bytes);
+        this._ensureViewsFresh();
+        this._storeSize(lenPtr, bytes.length);
+        return ptr;
       },
       // eslint-disable-next-line no-unused-vars
       emscripten_notify_memory_growth: (i) => this._updateViews(),
       _msync_js: () => {},
-      emlite_print_object_map: () => console.log(globalThis.EMLITE_VALMAP),
+      emlite_print_object_map: () => console.log(this.leakReport()),
       emlite_reset_object_map: () => {
-        for (const h of [...globalThis.EMLITE_VALMAP._h2e.keys()]) {
-          if (h > RESERVED_MAX) {
-            const value = globalThis.EMLITE_VALMAP._h2e.get(h).value;
-
-            globalThis.EMLITE_VALMAP._h2e.delete(h);
-            globalThis.EMLITE_VALMAP._v2h.delete(value);
-          }
-        }
+        this._valmap.reset();
+        this._memViews.clear();
       },
     };
-    return {
-      memory: this._memory,
-      ...core,
-      ...this._extraEnv,
-    };
+    return core;
   }
   get componentHost() {
-    const e = this.env;
-    let VAL = null;
-    const FR =
-      typeof FinalizationRegistry !== "undefined"
-        ? new FinalizationRegistry(
-            (data /* handle to boxed-closure pointer */) => {
-              try {
-                apply(0, 0, data);
-              } catch {}
-            }
-          )
-        : null;
+    const e = this._coreImports();
+    const em = this;
+    let VAL = this._valmap;
+    const invoke = (fidx) => (values, data) => {
+      const argvHandle = VAL.add(values);
+      const retHandle = this._dyncall.apply(fidx, argvHandle, data);
+      return VAL.get(retHandle);
+    };
+    // dyncall.apply(0, 0, data) drops the boxed closure behind `data`
+    const drop = (data) => this._dyncall.apply(0, 0, data);
 
-    return {
+    return this._instrument({
+      // A component's linear memory is private to it, so the thrown object
+      // can't be allocated or inspected from here. A throw still unwinds to
+      // the JS caller, as a CppException of unknown type.
       __cxaAllocateException() {
-        return e.__cxa_allocate_exception();
-      },
-      __cxaFreeException() {
-        return e.__cxa_free_exception();
-      },
-      __cxaThrow() {
-        return e.__cxa_throw();
+        throw new CppException({
+          ptr: 0,
+          type: 0,
+          typeName: "unknown",
+          release: () => {},
+        });
+      },
+      // Nothing is ever allocated
+      __cxaFreeException() {},
+      __cxaThrow(ptr, type) {
+        throw new CppException({
+          ptr,
+          type,
+          typeName: "unknown",
+          release: () => {},
+        });
       },
       __cxaAtexit() {
         return e.__cxa_atexit();
       },
       emliteInitHandleTable() {
         e.emlite_init_handle_table();
-        VAL = globalThis.EMLITE_VALMAP;
-        // Perform version check if the guest exported a target() function
-        try {
-          if (typeof target === "function") {
-            const t = target();
-            if (t !== EMLITE_VERSION) {
-              console.warn(
-                "Probably using an incompatible version of emlite (wasip2); plowing through!"
-              );
-            }
-          } else {
-            console.warn(
-              "emlite_target is not defined for wasip2; it's advisable to export it via WIT."
-            );
-          }
-        } catch (err) {
-          console.warn("Failed to check emlite version (wasip2)", err);
-        }
+        VAL = em._valmap;
       },
       emliteValNewArray() {
         return e.emlite_val_new_array();
@@ -682,15 +2632,98 @@ export class Emlite {
       emliteValGetValueStringUtf16(h /* -> list<u16> */) {
         return stringToU16Array(String(VAL.get(h)));
       },
+      emliteValMakeUint8Array(bytes /* list<u8> */) {
+        return VAL.add(Uint8Array.from(bytes));
+      },
+      emliteValGetBytes(h /* -> list<u8> */) {
+        return bytesOf(VAL.get(h)).slice();
+      },
+      emliteValFromJson(json /* string */) {
+        try {
+          return VAL.add(JSON.parse(json));
+        } catch (err) {
+          return VAL.add(norm(err));
+        }
+      },
+      emliteValToJson(h /* -> option<string> */) {
+        try {
+          return toJson(VAL.get(h));
+        } catch (err) {
+          em._pending = { error: norm(err) };
+        }
+      },
+      emliteValFromCbor(bytes /* list<u8> */) {
+        try {
+          return VAL.add(cborDecode(Uint8Array.from(bytes)));
+        } catch (err) {
+          return VAL.add(norm(err));
+        }
+      },
+      emliteValToCbor(h /* -> list<u8> */) {
+        return cborEncode(VAL.get(h));
+      },
       emliteValObjHasOwnProp(obj, prop /* string */) {
         const target = VAL.get(obj);
         return Object.prototype.hasOwnProperty.call(target, prop);
       },
+      emliteValClassBegin(name /* string */, ctorFidx, dtorFidx) {
+        const raw = (fidx, args, ptr) =>
+          em._dyncall.apply(fidx, args ? VAL.add(args) : 0, ptr);
+        return VAL.add(em._beginClass(name, raw, ctorFidx, dtorFidx));
+      },
+      emliteValClassMethod(cls, name /* string */, fidx, isStatic) {
+        em._classMethod(VAL.get(cls), name, fidx, isStatic);
+      },
+      emliteValClassProperty(cls, name /* string */, getFidx, setFidx) {
+        em._classProperty(VAL.get(cls), name, getFidx, setFidx);
+      },
+      emliteValClassEnd(cls, target) {
+        em._endClass(VAL.get(cls), VAL.get(target));
+      },
+      emliteValNativePtr(h) {
+        return em.nativePtr(VAL.get(h));
+      },
+      emliteValDefineProperty(obj, key, val, flags) {
+        return e.emlite_val_define_property(obj, key, val, flags);
+      },
+      emliteValDefineAccessor(obj, key, getFidx, setFidx, data, flags) {
+        return Reflect.defineProperty(
+          VAL.get(obj),
+          em._checkKey(VAL.get(key)),
+          descriptorOf(
+            flags,
+            em._accessors(invoke, getFidx, setFidx, data, drop)
+          )
+        );
+      },
+      emliteValDeleteProperty(obj, key) {
+        return e.emlite_val_delete_property(obj, key);
+      },
+      emliteValGetOwnPropertyDescriptor(obj, key) {
+        return e.emlite_val_get_own_property_descriptor(obj, key);
+      },
+      emliteValOwnKeys(obj) {
+        return e.emlite_val_own_keys(obj);
+      },
+      emliteValGetPrototype(obj) {
+        return e.emlite_val_get_prototype(obj);
+      },
+      emliteValSetPrototype(obj, proto) {
+        return e.emlite_val_set_prototype(obj, proto);
+      },
+      emliteValSymbolFor(key /* string */) {
+        return VAL.add(Symbol.for(key));
+      },
+      emliteValWellKnownSymbol(name /* string */) {
+        return VAL.add(wellKnownSymbol(name));
+      },
       emliteValObjCall(obj, method, argv /* u32 handle */) {
         const target = VAL.get(obj);
         const args = VAL.get(argv).map((h) => VAL.get(h));
         let ret;
         try {
+          em._checkKey(method);
+          em._checkCall(target[method], target, args);
           ret = Reflect.apply(target[method], target, args);
         } catch (e) {
           ret = norm(e);
@@ -702,6 +2735,7 @@ export class Emlite {
         const args = VAL.get(argv).map((h) => VAL.get(h));
         let ret;
         try {
+          em._checkConstructor(target);
           ret = Reflect.construct(target, args);
         } catch (e) {
           ret = norm(e);
@@ -713,27 +2747,175 @@ export class Emlite {
         const args = VAL.get(argv).map((h) => VAL.get(h));
         let ret;
         try {
+          em._checkCall(f, undefined, args);
           ret = Reflect.apply(f, undefined, args);
         } catch (e) {
           ret = norm(e);
         }
         return VAL.add(ret);
       },
+      // The checked variants return a `call-result { ok: bool, value: handle }`
+      // record; on failure the error is left for emliteValTakeException
+      emliteValObjCallChecked(obj, method, argv /* u32 handle */) {
+        return em._tryCall(() => {
+          const target = VAL.get(obj);
+          const args = VAL.get(argv).map((h) => VAL.get(h));
+          em._checkKey(method);
+          em._checkCall(target[method], target, args);
+          return Reflect.apply(target[method], target, args);
+        });
+      },
+      emliteValConstructNewChecked(ctor, argv /* u32 handle */) {
+        return em._tryCall(() => {
+          const target = VAL.get(ctor);
+          em._checkConstructor(target);
+          return Reflect.construct(
+            target,
+            VAL.get(argv).map((h) => VAL.get(h))
+          );
+        });
+      },
+      emliteValFuncCallChecked(fn, argv /* u32 handle */) {
+        return em._tryCall(() => {
+          const f = VAL.get(fn);
+          const args = VAL.get(argv).map((h) => VAL.get(h));
+          em._checkCall(f, undefined, args);
+          return Reflect.apply(f, undefined, args);
+        });
+      },
+      emliteValTakeException() {
+        return em._takeException();
+      },
       emliteValMakeCallback(fidx, data) {
-        const jsFn = (...values) => {
-          const argvHandle = VAL.add(values);
-          const retHandle = apply(fidx, argvHandle, data);
-          return VAL.get(retHandle);
-        };
-        if (FR) FR.register(jsFn, data);
-        return VAL.add(jsFn);
+        return VAL.add(em._wrapCallback(invoke(fidx), data, drop));
       },
-    };
+      emliteValMakeCallbackOnce(fidx, data) {
+        return VAL.add(em._wrapCallback(invoke(fidx), data, drop, true));
+      },
+      emliteValRevokeCallback(h) {
+        return em.revokeCallback(VAL.get(h));
+      },
+      emliteValRebindCallback(h, fidx, data) {
+        return em._rebindCallback(VAL.get(h), invoke(fidx), data, drop);
+      },
+      emliteValIter(h) {
+        return e.emlite_val_iter(h);
+      },
+      emliteValAsyncIter(h) {
+        return e.emlite_val_async_iter(h);
+      },
+      emliteValIterNext(it /* -> option<u32> */) {
+        const { done, value } = iterResult(VAL.get(it).next());
+        return done ? undefined : VAL.add(value);
+      },
+      emliteValAsyncIterNext(it) {
+        return e.emlite_val_async_iter_next(it);
+      },
+      emliteValIterResult(result /* -> option<u32> */) {
+        const { done, value } = iterResult(VAL.get(result));
+        return done ? undefined : VAL.add(value);
+      },
+      emliteValIterReturn(it) {
+        return e.emlite_val_iter_return(it);
+      },
+      emliteValMakeIterable(fidx, data) {
+        return VAL.add(
+          em._nativeIterator(
+            em._wrapCallback(invoke(fidx), data, drop),
+            (v) => v
+          )
+        );
+      },
+    });
   }
+  /**
+   * Pass the exports of an instantiated component to Emlite, the counterpart
+   * of setExports. Binds this instance to the component's dyncall interface.
+   * @param {Record<string, any>} app - component exports, keyed by interface
+   */
   bindComponent(app) {
-    apply = app["emlite:env/dyncall@0.1.0"]?.apply;
-    target = app["emlite:env/dyncall@0.1.0"]?.emliteTarget;
+    const dyncall = app[DYNCALL_INTERFACE];
+    if (typeof dyncall?.apply !== "function")
+      throw new Error(`component does not export ${DYNCALL_INTERFACE}`);
+    this._dyncall = { apply: dyncall.apply, target: dyncall.emliteTarget };
+    // Perform version check if the guest exported a target() function
+    try {
+      if (typeof this._dyncall.target === "function") {
+        if (this._dyncall.target() !== EMLITE_VERSION) {
+          console.warn(
+            "Probably using an incompatible version of emlite (wasip2); plowing through!"
+          );
+        }
+      } else {
+        console.warn(
+          "emlite_target is not defined for wasip2; it's advisable to export it via WIT."
+        );
+      }
+    } catch (err) {
+      console.warn("Failed to check emlite version (wasip2)", err);
+    }
+    this.app = app;
+  }
+  /**
+   * Make a JS function calling a guest export, marshalling its arguments into
+   * linear memory and decoding its result. Strings and buffers are copied
+   * into emlite_malloc'd temporaries, and handles added for the call; both
+   * are released when it returns or throws. Returned strings aren't freed.
+   * @param {string} name - export name
+   * @param {Object} sig
+   *        {
+   *          args?: string[], // number, i32, u32, f32, f64, i64, u64, bool,
+   *                           // string, string16, u8array (as ptr, len), handle
+   *          ret?:  string,   // void (default), any argument type but u8array;
+   *                           // a returned handle is owned by Emlite
+   *        }
+   * @returns {(...args: any[]) => any}
+   */
+  wrap(name, { args = [], ret = "void" } = {}) {
+    for (const t of args)
+      if (!(t in WRAP_ARGS))
+        throw new TypeError(`[Emlite] unknown argument type ${t}`);
+    if (!(ret in WRAP_RETS))
+      throw new TypeError(`[Emlite] unknown result type ${ret}`);
+    const allocates = args.some(
+      (t) => t === "string" || t === "string16" || t === "u8array"
+    );
+    return (...values) => {
+      const fn = this.exports?.[name];
+      if (typeof fn !== "function") throw new Error(`no such export: ${name}`);
+      if (allocates && typeof this._allocator().free !== "function")
+        throw new Error(`[Emlite] ${name}: passing copies needs emlite_free`);
+      const temps = { ptrs: [], handles: [] };
+      try {
+        const out = [];
+        args.forEach((t, i) => WRAP_ARGS[t](this, values[i], out, temps));
+        return WRAP_RETS[ret](this, fn(...out));
+      } catch (e) {
+        throw this.exceptionValue(e);
+      } finally {
+        for (const ptr of temps.ptrs) this._free(ptr);
+        for (const h of temps.handles) this._valmap.decRef(h);
+      }
+    };
+  }
+
+  /**
+   * Wrap a guest export for JSPI so that it may suspend in emlite_val_await
+   * @param {string|Function} fn - export name or the exported function
+   * @returns {(...args: any[]) => Promise<any>} async version of the export
+   */
+  promising(fn) {
+    if (!HAS_JSPI)
+      throw new Error("JSPI (WebAssembly.promising) is not supported here");
+    const f = typeof fn === "function" ? fn : this.exports[fn];
+    if (typeof f !== "function") throw new Error(`no such export: ${fn}`);
+    const p = WebAssembly.promising(f);
+    return (...args) =>
+      p(...args).catch((e) => {
+        throw this.exceptionValue(e);
+      });
   }
+
   get version() {
     return EMLITE_VERSION;
   }
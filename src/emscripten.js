@@ -0,0 +1,150 @@
+import { Emlite } from "./emlite.js";
+
+// Emscripten's default (non-standalone) mode. Its JS glue instantiates the
+// module and owns the memory, the allocator and the HEAP* views, so Emlite
+// joins in through the Module's `instantiateWasm` hook instead of linking the
+// module itself.
+//
+// At -O2 and higher Emscripten minifies the import module, import and export
+// names, so nothing is looked up by name on the instance. Imports are matched
+// through the glue's own functions, whose names stay `_emlite_*`, and exports
+// are read from the Module, where the glue puts them as `_name`.
+
+const importName = (key, fn) =>
+  typeof fn === "function" && fn.name.startsWith("_") ? fn.name.slice(1) : key;
+
+const findOf = (type, objects) => {
+  for (const o of objects)
+    for (const v of Object.values(o ?? {})) if (v instanceof type) return v;
+};
+
+/**
+ * Emlite for a module built by Emscripten in its default mode. It adopts
+ * Emscripten's memory, allocates with the Module's `_malloc`/`_free`,
+ * refreshes its views when Emscripten grows the heap, and leaves the HEAP*
+ * globals to Emscripten.
+ */
+export class EmscriptenEmlite extends Emlite {
+  /**
+   * @param {Object} opts - Emlite constructor options; `memory`, `memory64`
+   *        and `exposeHeaps` don't apply
+   */
+  constructor(opts = {}) {
+    // A placeholder memory, until Emscripten's is adopted
+    super({
+      ...opts,
+      memory: undefined,
+      memory64: false,
+      initialPages: 1,
+      maximumPages: 1,
+      exposeHeaps: false,
+    });
+    /** Resolves to the instance once Emscripten has received it */
+    this.ready = new Promise((resolve, reject) => {
+      this._settle = { resolve, reject };
+    });
+    // Failures are reported through onAbort, or logged
+    this.ready.catch(() => {});
+  }
+
+  _allocator() {
+    const { malloc, free, emlite_malloc, emlite_free } = this.exports;
+    if (!malloc && !emlite_malloc)
+      throw new Error(
+        "[Emlite] Module._malloc is missing, link with -sEXPORTED_FUNCTIONS=_malloc,_free"
+      );
+    return { malloc: malloc ?? emlite_malloc, free: free ?? emlite_free };
+  }
+
+  /**
+   * The instance's exports under their C names, resolved when they're read,
+   * since the glue only fills in the Module once it receives the instance
+   * @param {WebAssembly.Instance} instance
+   * @returns {Object}
+   */
+  _exportsOf(instance) {
+    const raw = instance.exports;
+    const Module = this._Module;
+    const table = findOf(WebAssembly.Table, [raw]);
+    return new Proxy(raw, {
+      get: (target, name) => {
+        if (name in target) return target[name];
+        if (name === "__indirect_function_table") return table;
+        if (typeof name === "string") return Module["_" + name];
+      },
+    });
+  }
+
+  /**
+   * Module settings that have Emlite instantiate `source`: pass them to a
+   * MODULARIZE factory, or assign them to `Module` before the glue runs
+   * @param {URL|string|Response|BufferSource|WebAssembly.Module} source - the module's .wasm
+   * @param {Object} settings - other Module settings, kept as they are
+   * @returns {Object}
+   */
+  moduleArg(source, settings = {}) {
+    // The glue uses this object as its Module
+    return (this._Module = {
+      ...settings,
+      instantiateWasm: (imports, receiveInstance) => {
+        this._link(source, imports)
+          .then(({ instance, module }) => {
+            receiveInstance(instance, module);
+            // Checks emlite_target now that the Module has the exports
+            this.setExports(this.exports);
+            this._settle.resolve(instance);
+          })
+          .catch((e) => {
+            this._settle.reject(e);
+            if (settings.onAbort) settings.onAbort(e);
+            else console.error("[Emlite] failed to instantiate the module", e);
+          });
+        // Emscripten waits for receiveInstance
+        return {};
+      },
+    });
+  }
+
+  /**
+   * Instantiate `source` with Emscripten's imports plus the emlite ones
+   * @param {URL|string|Response|BufferSource|WebAssembly.Module} source
+   * @param {WebAssembly.Imports} imports - from Emscripten's glue
+   * @returns {Promise<{instance: WebAssembly.Instance, module: WebAssembly.Module}>}
+   */
+  async _link(source, imports) {
+    const module = await this._compile(source);
+    const own = this.env;
+    // The bridge replaces the glue's stubs for the emlite_* imports, under
+    // whatever names the glue gives them
+    const linked = {};
+    for (const [space, fns] of Object.entries(imports)) {
+      linked[space] = { ...fns };
+      for (const [key, fn] of Object.entries(fns)) {
+        const name = importName(key, fn);
+        if (name.startsWith("emlite_") && typeof own[name] === "function")
+          linked[space][key] = own[name];
+        else if (name === "emscripten_resize_heap")
+          linked[space][key] = (...args) => {
+            const ret = fn(...args);
+            this._updateViews();
+            return ret;
+          };
+      }
+    }
+    // And provides the ones the glue has no stub for
+    for (const { module: space, name } of WebAssembly.Module.imports(module)) {
+      linked[space] ??= {};
+      if (!(name in linked[space]) && typeof own[name] === "function")
+        linked[space][name] = own[name];
+    }
+    const instance = await WebAssembly.instantiate(module, linked);
+    this._memory =
+      findOf(WebAssembly.Memory, [instance.exports]) ??
+      findOf(WebAssembly.Memory, Object.values(imports));
+    this._updateViews();
+    this.module = module;
+    this.instance = instance;
+    this.exports = this._exportsOf(instance);
+    return { instance, module };
+  }
+}
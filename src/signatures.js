@@ -0,0 +1,127 @@
+// Signatures of the env imports, shared by the bridge, worker mode, tracing
+// and record/replay.
+//
+// Argument kinds, one per C argument:
+//   "h" handle
+//   "n" number passed as is (values, flags, kinds)
+//   "f" function table index
+//   "d" callback data, only handed back to the guest
+//   "a" address or size read by the import
+//   "o" output pointer the import writes through
+//   "s" UTF-8, "u" UTF-16, "b" bytes, "w" i32 words: (ptr, len) pairs, which
+//       take two wasm parameters
+// Result kinds: "h" handle, "n" number or nothing, "z" NUL-terminated UTF-8,
+// "y" NUL-terminated UTF-16, "a" any other address or size.
+const h1 = [["h"], "n"];
+const h2 = [["h", "h"], "n"];
+
+/** @type {Record<string, [string[], string]>} */
+export const SIGNATURES = {
+  __cxa_allocate_exception: [["a"], "a"],
+  __cxa_free_exception: [["a"], "n"],
+  __cxa_throw: [["a", "a", "f"], "n"],
+  emlite_init_handle_table: [[], "n"],
+  emlite_val_new_array: [[], "h"],
+  emlite_val_new_object: [[], "h"],
+  emlite_val_make_bool: [["n"], "h"],
+  emlite_val_make_int: [["n"], "h"],
+  emlite_val_make_uint: [["n"], "h"],
+  emlite_val_make_bigint: [["n"], "h"],
+  emlite_val_make_biguint: [["n"], "h"],
+  emlite_val_make_double: [["n"], "h"],
+  emlite_val_make_str: [["s"], "h"],
+  emlite_val_make_str_utf16: [["u"], "h"],
+  emlite_val_get_value_int: h1,
+  emlite_val_get_value_uint: h1,
+  emlite_val_get_value_bigint: h1,
+  emlite_val_get_value_biguint: h1,
+  emlite_val_get_value_double: h1,
+  emlite_val_get_value_string: [["h"], "z"],
+  emlite_val_get_value_string_utf16: [["h"], "y"],
+  emlite_val_get_value_bool: h1,
+  emlite_val_typeof: [["h"], "z"],
+  emlite_val_push: h2,
+  emlite_val_get: [["h", "h"], "h"],
+  emlite_val_set: [["h", "h", "h"], "n"],
+  emlite_val_has: h2,
+  emlite_val_not: h1,
+  emlite_val_is_string: h1,
+  emlite_val_is_number: h1,
+  emlite_val_is_bool: h1,
+  emlite_val_gt: h2,
+  emlite_val_gte: h2,
+  emlite_val_lt: h2,
+  emlite_val_lte: h2,
+  emlite_val_equals: h2,
+  emlite_val_strictly_equals: h2,
+  emlite_val_instanceof: h2,
+  emlite_val_obj_has_own_prop: [["h", "s"], "n"],
+  emlite_val_class_begin: [["s", "f", "f"], "h"],
+  emlite_val_class_method: [["h", "s", "f", "n"], "n"],
+  emlite_val_class_property: [["h", "s", "f", "f"], "n"],
+  emlite_val_class_end: h2,
+  emlite_val_native_ptr: [["h"], "a"],
+  emlite_val_define_property: [["h", "h", "h", "n"], "n"],
+  emlite_val_define_accessor: [["h", "h", "f", "f", "d", "n"], "n"],
+  emlite_val_delete_property: h2,
+  emlite_val_get_own_property_descriptor: [["h", "h"], "h"],
+  emlite_val_own_keys: [["h"], "h"],
+  emlite_val_get_prototype: [["h"], "h"],
+  emlite_val_set_prototype: h2,
+  emlite_val_symbol_for: [["s"], "h"],
+  emlite_val_well_known_symbol: [["s"], "h"],
+  emlite_val_inc_ref: h1,
+  emlite_val_dec_ref: h1,
+  emlite_val_throw: h1,
+  emlite_val_cpp_exception_ptr: [["h"], "a"],
+  emlite_val_make_callback: [["f", "d"], "h"],
+  emlite_val_make_callback_once: [["f", "d"], "h"],
+  emlite_val_revoke_callback: h1,
+  emlite_val_rebind_callback: [["h", "f", "d"], "n"],
+  emlite_val_iter: [["h"], "h"],
+  emlite_val_async_iter: [["h"], "h"],
+  emlite_val_iter_next: [["h", "o"], "n"],
+  emlite_val_async_iter_next: [["h"], "h"],
+  emlite_val_iter_result: [["h", "o"], "n"],
+  emlite_val_iter_return: [["h"], "h"],
+  emlite_val_make_iterable: [["f", "d"], "h"],
+  emlite_val_obj_call: [["h", "s", "h"], "h"],
+  emlite_val_construct_new: [["h", "h"], "h"],
+  emlite_val_func_call: [["h", "h"], "h"],
+  emlite_val_obj_call_checked: [["h", "s", "h", "o"], "n"],
+  emlite_val_construct_new_checked: [["h", "h", "o"], "n"],
+  emlite_val_func_call_checked: [["h", "h", "o"], "n"],
+  emlite_val_take_exception: [[], "h"],
+  emlite_val_batch: [["w", "o"], "a"],
+  emlite_val_is_promise: h1,
+  emlite_val_promise_then: [["h", "f", "f", "d"], "h"],
+  emlite_val_await: [["h"], "h"],
+  emlite_val_make_typed_array_view: [["a", "a", "n"], "h"],
+  emlite_val_copy_to_wasm: [["h", "o"], "a"],
+  emlite_val_from_json: [["s"], "h"],
+  emlite_val_to_json: [["h", "o"], "a"],
+  emlite_val_from_cbor: [["b"], "h"],
+  emlite_val_to_cbor: [["h", "o"], "a"],
+  emlite_print_object_map: [[], "n"],
+  emlite_reset_object_map: [[], "n"],
+};
+
+/** Kinds that take a (ptr, len) pair of wasm parameters */
+export const PAIR_KINDS = new Set(["s", "u", "b", "w"]);
+
+/** Kinds passed as pointer-sized wasm parameters or results */
+export const POINTER_KINDS = new Set(["f", "a", "o", "s", "u", "b", "w"]);
+
+/**
+ * Argument kinds of an import, or undefined for imports not listed
+ * @param {string} name
+ * @returns {string[]|undefined}
+ */
+export const argKinds = (name) => SIGNATURES[name]?.[0];
+
+/**
+ * Result kind of an import, "n" for imports not listed
+ * @param {string} name
+ * @returns {string}
+ */
+export const resultKind = (name) => SIGNATURES[name]?.[1] ?? "n";
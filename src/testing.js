@@ -0,0 +1,316 @@
+import { argKinds, PAIR_KINDS } from "./signatures.js";
+import { plain, revive } from "./util.js";
+
+// Record/replay of the bridge, for running guest code that needs browser
+// objects in Node. A Recorder, passed as the `trace` option of Emlite where
+// the real objects exist, logs every `env` import call with its result and
+// every call JS makes into the guest's function table. A Replayer, passed the
+// same way, answers the guest's calls from that log without touching any JS
+// object, and throws a ReplayError as soon as the guest does something else.
+//
+// Replaying assumes a deterministic guest: the same binary, the same exports
+// called in the same order. Handles are replayed as the numbers the guest got
+// while recording, so values can't be inspected from JS during a replay.
+//
+// Arguments are logged by their kind in SIGNATURES: strings and byte ranges
+// are read from guest memory, output pointers aren't compared, and the rest
+// are compared as they are.
+
+// Imports that only work on the guest's memory, run for real in both modes
+const LOCAL = new Set([
+  "__cxa_allocate_exception",
+  "__cxa_free_exception",
+  "__cxa_throw",
+  "__cxa_atexit",
+  "emscripten_notify_memory_growth",
+  "_msync_js",
+]);
+
+const toBase64 = (bytes) => {
+  let s = "";
+  for (let i = 0; i < bytes.length; i += 0x8000)
+    s += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(s);
+};
+const fromBase64 = (s) => Uint8Array.from(atob(s), (c) => c.charCodeAt(0));
+
+function decodeArgs(em, name, args) {
+  const kinds = argKinds(name) ?? [];
+  const out = [];
+  let i = 0;
+  em._ensureViewsFresh();
+  for (const kind of kinds) {
+    if (i >= args.length) break;
+    if (kind === "o") {
+      out.push(null);
+      i++;
+      continue;
+    }
+    if (!PAIR_KINDS.has(kind)) {
+      out.push(plain(args[i++]));
+      continue;
+    }
+    const [ptr, len] = [args[i], args[i + 1]];
+    i += 2;
+    if (kind === "s") out.push(em.cStr(ptr, len));
+    else if (kind === "u") out.push(em.cStrUtf16(ptr, len));
+    else if (kind === "b") out.push(toBase64(em._u8.subarray(ptr, ptr + len)));
+    else out.push(Array.from(em._i32.subarray(ptr / 4, ptr / 4 + len)));
+  }
+  for (; i < args.length; i++) out.push(plain(args[i]));
+  return out;
+}
+
+// Imports that leave their results in guest memory. `save` reads them after
+// a recorded call, `restore` writes them back during a replay and returns
+// what the import returns.
+const effect = (save, restore) => ({ save, restore });
+
+const string = (read, write) =>
+  effect(
+    (em, args, r) => ({ text: r ? em[read](r) : null }),
+    (em, args, e) => (e.text === null ? 0 : em[write](e.text))
+  );
+
+// A handle stored at args[idx] when the import returns `stored`
+const handleAt = (idx, stored) =>
+  effect(
+    (em, args, r) => (r === stored ? { out: em._u32[args[idx] / 4] } : {}),
+    (em, args, e) => {
+      if (e.out !== undefined) {
+        em._ensureViewsFresh();
+        em._u32[args[idx] / 4] = e.out;
+      }
+      return e.result;
+    }
+  );
+
+// An emlite_malloc'd buffer, with its size stored at args[1]. `extra` bytes
+// past the size (a NUL) are part of the buffer.
+const buffer = (extra) =>
+  effect(
+    (em, args, r) => {
+      const size = em._loadPtr(args[1]);
+      return {
+        size,
+        bytes: r ? toBase64(em._u8.slice(r, r + size + extra)) : null,
+      };
+    },
+    (em, args, e) => {
+      const ptr =
+        e.bytes === null ? 0 : em._copyBytesToWasm(fromBase64(e.bytes));
+      em._storeSize(args[1], e.size);
+      return ptr;
+    }
+  );
+
+const EFFECTS = {
+  emlite_val_get_value_string: string("_cStrZ", "copyStringToWasm"),
+  emlite_val_typeof: string("_cStrZ", "copyStringToWasm"),
+  emlite_val_get_value_string_utf16: string(
+    "_cStrZ16",
+    "copyStringToWasmUtf16"
+  ),
+  emlite_val_obj_call_checked: handleAt(4, 1),
+  emlite_val_construct_new_checked: handleAt(2, 1),
+  emlite_val_func_call_checked: handleAt(2, 1),
+  emlite_val_iter_next: handleAt(1, 0),
+  emlite_val_iter_result: handleAt(1, 0),
+  emlite_val_batch: effect(
+    (em, args, r) => ({
+      out: Array.from(em._u32.subarray(args[2] / 4, args[2] / 4 + r)),
+    }),
+    (em, args, e) => {
+      em._ensureViewsFresh();
+      em._u32.set(e.out, args[2] / 4);
+      return e.result;
+    }
+  ),
+  emlite_val_copy_to_wasm: buffer(0),
+  emlite_val_to_json: buffer(1),
+  emlite_val_to_cbor: buffer(0),
+};
+
+const recorded = (name) => name.includes("_") && !LOCAL.has(name);
+
+/** Printable form of a log entry */
+function describeEntry(e) {
+  const args = (e.args ?? []).map((a) => JSON.stringify(a)).join(", ");
+  return e.type === "callback"
+    ? `callback #${e.fidx}(${args})`
+    : `${e.name}(${args})`;
+}
+
+/** Thrown by a Replayer when the guest departs from the recording */
+export class ReplayError extends Error {
+  constructor(message) {
+    super(`[Emlite] replay diverged: ${message}`);
+    this.name = "ReplayError";
+  }
+}
+
+/**
+ * Records the bridge traffic of an Emlite instance. Pass it as the `trace`
+ * option, run the guest, then save `JSON.stringify(recorder)`.
+ */
+export class Recorder {
+  constructor() {
+    this.clear();
+  }
+
+  /** Called by Emlite around each import call */
+  around(emlite, name, fn, args) {
+    if (!recorded(name)) return fn(...args);
+    const entry = {
+      type: "import",
+      name,
+      depth: this._depth,
+      args: decodeArgs(emlite, name, args),
+    };
+    this.entries.push(entry);
+    return this._run(entry, () => {
+      const result = fn(...args);
+      emlite._ensureViewsFresh();
+      Object.assign(entry, EFFECTS[name]?.save(emlite, args, result));
+      return result;
+    });
+  }
+
+  /** Called by Emlite when JS calls into the guest's function table */
+  callback(emlite, fidx, fn, args) {
+    const entry = {
+      type: "callback",
+      fidx,
+      depth: this._depth,
+      args: args.map(plain),
+    };
+    this.entries.push(entry);
+    return this._run(entry, () => fn(...args));
+  }
+
+  _run(entry, call) {
+    this._depth++;
+    try {
+      const result = call();
+      if (result !== undefined) entry.result = plain(result);
+      return result;
+    } catch (e) {
+      entry.error = String(e?.message ?? e);
+      throw e;
+    } finally {
+      this._depth--;
+    }
+  }
+
+  clear() {
+    this.entries = [];
+    this._depth = 0;
+  }
+
+  toJSON() {
+    return { entries: this.entries };
+  }
+}
+
+/**
+ * Plays a recording back to the guest. Pass it as the `trace` option and
+ * call the guest's exports in the order they were called while recording.
+ * Callbacks that JS made into the guest during an import are replayed
+ * within that import; the others (event listeners, promise continuations)
+ * run when `runCallbacks()` is called.
+ */
+export class Replayer {
+  /**
+   * @param {string|{entries: Object[]}} log - a Recorder, or its JSON
+   */
+  constructor(log) {
+    const { entries } = typeof log === "string" ? JSON.parse(log) : log;
+    this.entries = entries;
+    this.position = 0;
+    this._depth = 0;
+    this._emlite = null;
+  }
+
+  _diverged(message) {
+    throw new ReplayError(`at entry ${this.position}: ${message}`);
+  }
+
+  _expect(actual) {
+    const e = this.entries[this.position];
+    if (!e)
+      this._diverged(`${describeEntry(actual)} after the recording ended`);
+    const same =
+      e.type === actual.type &&
+      e.depth === actual.depth &&
+      e.name === actual.name &&
+      e.fidx === actual.fidx &&
+      JSON.stringify(e.args) === JSON.stringify(actual.args);
+    if (!same)
+      this._diverged(
+        `expected ${describeEntry(e)}, got ${describeEntry(actual)}`
+      );
+    this.position++;
+    return e;
+  }
+
+  // Run the recorded callbacks at the current depth that come next
+  _callbacks() {
+    let e;
+    while (
+      (e = this.entries[this.position])?.type === "callback" &&
+      e.depth === this._depth
+    ) {
+      this.position++;
+      const fn = this._emlite.exports.__indirect_function_table.get(e.fidx);
+      this._depth++;
+      let result;
+      try {
+        result = fn(...e.args.map(revive));
+      } finally {
+        this._depth--;
+      }
+      if (JSON.stringify(plain(result)) !== JSON.stringify(e.result))
+        this._diverged(
+          `${describeEntry(e)} returned ${String(result)}, not ${String(revive(e.result))}`
+        );
+    }
+  }
+
+  /** Called by Emlite in place of each import call */
+  around(emlite, name, fn, args) {
+    if (!recorded(name)) return fn(...args);
+    this._emlite = emlite;
+    const e = this._expect({
+      type: "import",
+      name,
+      depth: this._depth,
+      args: decodeArgs(emlite, name, args),
+    });
+    this._depth++;
+    try {
+      this._callbacks();
+    } finally {
+      this._depth--;
+    }
+    if (e.error !== undefined) throw new Error(e.error);
+    const effect = EFFECTS[name];
+    return effect ? revive(effect.restore(emlite, args, e)) : revive(e.result);
+  }
+
+  /**
+   * Run the callbacks JS made into the guest outside of any import, up to
+   * the guest's next recorded import
+   */
+  runCallbacks() {
+    if (this._emlite) this._callbacks();
+  }
+
+  /** Throw if the guest hasn't made every recorded call */
+  done() {
+    const e = this.entries[this.position];
+    if (e)
+      this._diverged(
+        `${this.entries.length - this.position} recorded entries left, next ${describeEntry(e)}`
+      );
+  }
+}
@@ -0,0 +1,142 @@
+import { Emlite } from "./emlite.js";
+import { onMessage } from "./util.js";
+
+// wasi-threads support for guests built for wasm32-wasip1-threads. Every
+// thread is a worker instantiating the same module over the same shared
+// memory, with an Emlite instance (and so a handle table) of its own: handles
+// and JS objects can't be passed between threads.
+//
+// All thread workers are created by the ThreadSpawner on the thread that
+// started the guest. Threads spawning threads post a request to it, so that
+// thread has to get back to its event loop for them to start.
+
+// wasi-threads thread ids are positive and below 2^29
+const MAX_TID = 0x1fffffff;
+
+// -EAGAIN, returned from thread-spawn when no id or worker is available
+const EAGAIN = -6;
+
+function nextTid(counter) {
+  const tid = Atomics.add(counter, 0, 1) + 1;
+  return tid > MAX_TID ? EAGAIN : tid;
+}
+
+/**
+ * Provides the `wasi` `thread-spawn` import on the thread that starts the
+ * guest, and owns the workers running its threads.
+ */
+export class ThreadSpawner {
+  /**
+   * @param {Emlite} emlite - instance whose (shared) memory the guest imports
+   * @param {Object} opts
+   *        {
+   *          module:       WebAssembly.Module,  // the guest, compiled once
+   *          createWorker: () => Worker,        // a worker running serveThread
+   *        }
+   */
+  constructor(emlite, { module, createWorker }) {
+    if (!(emlite.memory.buffer instanceof SharedArrayBuffer))
+      throw new Error("[Emlite] threads need `new Emlite({ shared: true })`");
+    this._memory = emlite.memory;
+    this._module = module;
+    this._createWorker = createWorker;
+    this._counter = new Int32Array(new SharedArrayBuffer(4));
+    this.workers = new Map();
+  }
+
+  /** The `wasi` import namespace. @returns {{"thread-spawn": Function}} */
+  get imports() {
+    return {
+      "thread-spawn": (startArg) => {
+        const tid = nextTid(this._counter);
+        if (tid < 0) return tid;
+        try {
+          this._start(tid, startArg);
+        } catch (e) {
+          console.warn("[Emlite] failed to spawn a thread", e);
+          return EAGAIN;
+        }
+        return tid;
+      },
+    };
+  }
+
+  _start(tid, startArg) {
+    const worker = this._createWorker();
+    this.workers.set(tid, worker);
+    onMessage(worker, (msg) => {
+      if (msg?.type === "emlite:spawn") {
+        try {
+          this._start(msg.tid, msg.startArg);
+        } catch (e) {
+          console.warn("[Emlite] failed to spawn a thread", e);
+        }
+      } else if (msg?.type === "emlite:thread-exit") {
+        if (msg.error !== undefined)
+          console.warn(`[Emlite] thread ${tid} failed:`, msg.error);
+        this.workers.delete(tid);
+        worker.terminate();
+      }
+    });
+    worker.postMessage({
+      type: "emlite:thread",
+      module: this._module,
+      memory: this._memory,
+      counter: this._counter,
+      tid,
+      startArg,
+    });
+  }
+
+  /** Terminate every running thread */
+  terminate() {
+    for (const worker of this.workers.values()) worker.terminate();
+    this.workers.clear();
+  }
+}
+
+/**
+ * Run a guest thread in this worker once the ThreadSpawner sends it.
+ * The module's entry point is not run again; only `wasi_thread_start(tid, arg)`.
+ * @param {MessagePort|Worker} port - `self` in a web worker, `parentPort` in node
+ * @param {Object} opts
+ *        {
+ *          wasi?:       { wasiImport },          // per-thread WASI instance
+ *          imports?:    WebAssembly.Imports,     // extra imports
+ *          onInstance?: (instance, emlite) => void, // e.g. to hand the instance to a WASI shim
+ *          ...Emlite constructor options
+ *        }
+ */
+export function serveThread(port, opts = {}) {
+  const { wasi, imports = {}, onInstance, ...rest } = opts;
+  onMessage(port, async (msg) => {
+    if (msg?.type !== "emlite:thread") return;
+    // thread-exit is posted however the thread ends, with what it failed on
+    let error;
+    try {
+      const emlite = new Emlite({ ...rest, memory: msg.memory });
+      const spawn = (startArg) => {
+        const tid = nextTid(msg.counter);
+        if (tid > 0) port.postMessage({ type: "emlite:spawn", tid, startArg });
+        return tid;
+      };
+      const linked = emlite._linkImports(msg.module, wasi, {
+        ...imports,
+        wasi: { "thread-spawn": spawn, ...imports.wasi },
+      });
+      const instance = await WebAssembly.instantiate(msg.module, linked);
+      emlite.setExports(instance.exports);
+      onInstance?.(instance, emlite);
+      try {
+        instance.exports.wasi_thread_start(msg.tid, msg.startArg);
+      } catch (e) {
+        throw emlite.exceptionValue(e);
+      }
+    } catch (e) {
+      // Sent as text, since not every thrown value can be posted
+      error = String(e?.stack ?? e);
+    } finally {
+      port.postMessage({ type: "emlite:thread-exit", tid: msg.tid, error });
+    }
+  });
+}
@@ -0,0 +1,211 @@
+import { argKinds, resultKind, PAIR_KINDS } from "./signatures.js";
+
+// Boundary call tracing. Pass a Tracer as the `trace` option of Emlite and
+// every `env` import and componentHost call is reported to its sink, with the
+// arguments decoded into JS values: handles become the values they refer to
+// and strings are read from guest memory. Components get strings and bytes as
+// JS values, so (ptr, len) pairs take one argument there.
+
+// Calls whose method name is counted in the summary
+const METHOD_CALLS = new Set([
+  "emlite_val_obj_call",
+  "emlite_val_obj_call_checked",
+  "emliteValObjCall",
+  "emliteValObjCallChecked",
+]);
+
+const snake = (name) => name.replace(/[A-Z]/g, (c) => "_" + c.toLowerCase());
+
+const now = () =>
+  typeof performance !== "undefined" ? performance.now() : Date.now();
+
+// Reads a handle without tripping debug mode's stale-handle checks
+const peek = (emlite, h) => emlite.valmap._h2e.get(h)?.value;
+
+function decodeArgs(emlite, name, args) {
+  const component = !name.includes("_");
+  const key = component ? snake(name) : name;
+  // Other emlite_val_* calls (componentHost extras) take handles
+  const kinds =
+    argKinds(key) ?? (key.startsWith("emlite_val_") ? args.map(() => "h") : []);
+  const out = [];
+  let i = 0;
+  for (const kind of kinds) {
+    if (i >= args.length) break;
+    if (kind === "h") out.push(peek(emlite, args[i++]));
+    else if (component || !PAIR_KINDS.has(kind)) out.push(args[i++]);
+    else {
+      const [ptr, len] = [args[i], args[i + 1]];
+      if (kind === "s") out.push(emlite.cStr(ptr, len));
+      else if (kind === "u") out.push(emlite.cStrUtf16(ptr, len));
+      else out.push(ptr, len);
+      i += 2;
+    }
+  }
+  for (; i < args.length; i++) out.push(args[i]);
+  return out;
+}
+
+function decodeResult(emlite, name, result) {
+  const core = name.includes("_");
+  const kind = resultKind(core ? name : snake(name));
+  if (kind === "h" && typeof result === "number") return peek(emlite, result);
+  if (kind === "z" && core && result) return emlite._cStrZ(result);
+  if (kind === "y" && core && result) return emlite._cStrZ16(result);
+  return result;
+}
+
+/**
+ * Short printable form of a traced value
+ * @param {any} v
+ * @returns {string}
+ */
+export function describe(v) {
+  switch (typeof v) {
+    case "string":
+      return JSON.stringify(v.length > 64 ? v.slice(0, 64) + "…" : v);
+    case "bigint":
+      return `${v}n`;
+    case "function":
+      return `[Function ${v.name || "anonymous"}]`;
+    case "symbol":
+      return v.toString();
+    case "object":
+      if (v === null) return "null";
+      if (Array.isArray(v)) return `Array(${v.length})`;
+      if (v === globalThis) return "globalThis";
+      return `[object ${v.constructor?.name ?? "Object"}]`;
+    default:
+      return String(v);
+  }
+}
+
+/** Logs one line per call */
+export class ConsoleSink {
+  constructor(log = console.debug) {
+    this._log = log;
+  }
+
+  record(e) {
+    const args = e.args.map(describe).join(", ");
+    const out = e.error ? `threw ${describe(e.error)}` : describe(e.result);
+    this._log(
+      `[Emlite] ${e.name}(${args}) -> ${out} ${e.duration.toFixed(3)}ms, ${e.handles} handles`
+    );
+  }
+}
+
+/** Keeps the last `capacity` calls in memory */
+export class RingBufferSink {
+  constructor(capacity = 1000) {
+    this.capacity = capacity;
+    this._buf = [];
+    this._next = 0;
+  }
+
+  record(e) {
+    if (this._buf.length < this.capacity) this._buf.push(e);
+    else this._buf[this._next] = e;
+    this._next = (this._next + 1) % this.capacity;
+  }
+
+  /** Recorded calls, oldest first */
+  entries() {
+    if (this._buf.length < this.capacity) return this._buf.slice();
+    return [...this._buf.slice(this._next), ...this._buf.slice(0, this._next)];
+  }
+
+  clear() {
+    this._buf = [];
+    this._next = 0;
+  }
+}
+
+/**
+ * Collects Chrome trace events, viewable in chrome://tracing or Perfetto.
+ * Values are reduced to their `describe` form.
+ */
+export class TraceEventSink {
+  constructor() {
+    this.events = [];
+  }
+
+  record(e) {
+    this.events.push({
+      name: e.name,
+      cat: "emlite",
+      ph: "X",
+      ts: e.start * 1000,
+      dur: e.duration * 1000,
+      pid: 1,
+      tid: 1,
+      args: {
+        args: e.args.map(describe),
+        result: e.error ? `threw ${describe(e.error)}` : describe(e.result),
+        handles: e.handles,
+      },
+    });
+  }
+
+  toJSON() {
+    return { traceEvents: this.events };
+  }
+}
+
+/**
+ * Records the boundary calls of an Emlite instance to a sink and keeps
+ * per-import and per-method call counts. A sink is any object with a
+ * `record({ name, args, result, error, start, duration, handles })` method.
+ */
+export class Tracer {
+  constructor(sink = new RingBufferSink()) {
+    this.sink = sink;
+    this.reset();
+  }
+
+  /** Called by Emlite around each import call */
+  around(emlite, name, fn, args) {
+    const decoded = decodeArgs(emlite, name, args);
+    const start = now();
+    let result;
+    let error;
+    try {
+      result = fn(...args);
+      return result;
+    } catch (e) {
+      error = e;
+      throw e;
+    } finally {
+      const duration = now() - start;
+      this._calls.set(name, (this._calls.get(name) ?? 0) + 1);
+      if (METHOD_CALLS.has(name)) {
+        const method = String(decoded[1]);
+        this._methods.set(method, (this._methods.get(method) ?? 0) + 1);
+      }
+      this.sink.record({
+        name,
+        args: decoded,
+        result: error ? undefined : decodeResult(emlite, name, result),
+        error,
+        start,
+        duration,
+        handles: emlite.valmap.size,
+      });
+    }
+  }
+
+  /**
+   * Call counts, most frequent first
+   * @returns {{calls: Record<string, Number>, methods: Record<string, Number>}}
+   */
+  summary() {
+    const sorted = (m) =>
+      Object.fromEntries([...m].sort((a, b) => b[1] - a[1]));
+    return { calls: sorted(this._calls), methods: sorted(this._methods) };
+  }
+
+  reset() {
+    this._calls = new Map();
+    this._methods = new Map();
+  }
+}
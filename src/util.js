@@ -0,0 +1,38 @@
+// Helpers shared by the bridge and its companion modules
+
+/**
+ * Byte view over an ArrayBuffer, SharedArrayBuffer, TypedArray or DataView
+ * @param {ArrayBuffer|SharedArrayBuffer|ArrayBufferView} v
+ * @returns {Uint8Array}
+ */
+export function bytesOf(v) {
+  if (ArrayBuffer.isView(v))
+    return new Uint8Array(v.buffer, v.byteOffset, v.byteLength);
+  if (
+    v instanceof ArrayBuffer ||
+    (typeof SharedArrayBuffer !== "undefined" && v instanceof SharedArrayBuffer)
+  )
+    return new Uint8Array(v);
+  throw new TypeError("expected an ArrayBuffer, TypedArray or DataView");
+}
+
+/**
+ * Listen to a port's messages. node:worker_threads ports are EventEmitters,
+ * web ports are EventTargets.
+ * @param {MessagePort|Worker} port
+ * @param {(data: any) => void} fn
+ */
+export function onMessage(port, fn) {
+  if (typeof port.on === "function") port.on("message", fn);
+  else port.addEventListener("message", (e) => fn(e.data));
+}
+
+// JSON has no BigInt, so they're written as {"$bigint": "<digits>"}
+
+/** `v` in a form JSON can hold, usable as a JSON.stringify replacer */
+export const plain = (v) =>
+  typeof v === "bigint" ? { $bigint: String(v) } : v;
+
+/** The value `plain` stood in for, usable as a JSON.parse reviver */
+export const revive = (v) =>
+  v !== null && typeof v === "object" && "$bigint" in v ? BigInt(v.$bigint) : v;
@@ -0,0 +1,74 @@
+import { Emlite } from "./emlite.js";
+
+// WIT interface the component imports the emlite host functions from. jco
+// keys instantiation imports by interface name without the version, but both
+// spellings are provided.
+const ENV_INTERFACE = "emlite:env/env";
+const ENV_VERSION = "0.1.0";
+const RUN_INTERFACE = "wasi:cli/run@0.2.0";
+
+/**
+ * Build the import object for a transpiled component
+ * @param {Emlite} emlite
+ * @param {Record<string, any>} wasi - WASI preview2 imports, keyed by interface
+ * @param {Record<string, any>} imports - extra imports, keyed by interface
+ * @returns {Record<string, any>}
+ */
+export function componentImports(emlite, wasi = {}, imports = {}) {
+  const host = emlite.componentHost;
+  return {
+    ...wasi,
+    [ENV_INTERFACE]: host,
+    [`${ENV_INTERFACE}@${ENV_VERSION}`]: host,
+    ...imports,
+  };
+}
+
+/**
+ * Instantiate a component transpiled by jco (`jco transpile --instantiation async`),
+ * the wasip2 counterpart of Emlite.instantiate. The component's
+ * `emlite:env/dyncall` exports are bound to the returned Emlite instance only,
+ * so several components can run side by side. `wasi:cli/run` is called if the
+ * component exports it.
+ * @param {{instantiate: Function}} component - the transpiled module namespace
+ * @param {Object} opts
+ *        {
+ *          base?:          URL|string,      // where the transpiled core modules live
+ *          getCoreModule?: (path: string) => Promise<WebAssembly.Module>,
+ *          wasi?:          Record<string, any>, // e.g. built from @bytecodealliance/preview2-shim
+ *          imports?:       Record<string, any>, // extra imports, keyed by interface
+ *          start?:         boolean,         // run wasi:cli/run (default true)
+ *          emlite?:        Emlite,          // reuse an instance instead of creating one
+ *          ...Emlite constructor options
+ *        }
+ * @returns {Promise<{emlite: Emlite, app: Record<string, any>}>}
+ */
+export async function instantiate(component, opts = {}) {
+  const {
+    base,
+    getCoreModule,
+    wasi,
+    imports,
+    start = true,
+    emlite: existing,
+    ...rest
+  } = opts;
+  if (typeof component?.instantiate !== "function")
+    throw new Error(
+      "[Emlite] expected a component transpiled with `jco transpile --instantiation async`"
+    );
+  const emlite = existing ?? new Emlite(rest);
+  let loadCore = getCoreModule;
+  if (!loadCore) {
+    if (base === undefined)
+      throw new Error("[Emlite] pass either `base` or `getCoreModule`");
+    loadCore = (path) => emlite._compile(new URL(path, base));
+  }
+  const app = await component.instantiate(
+    loadCore,
+    componentImports(emlite, wasi, imports)
+  );
+  emlite.bindComponent(app);
+  if (start) (app[RUN_INTERFACE] ?? app.run)?.run?.();
+  return { emlite, app };
+}
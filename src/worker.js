@@ -0,0 +1,266 @@
+import { Emlite } from "./emlite.js";
+import { SIGNATURES } from "./signatures.js";
+import { onMessage, plain, revive } from "./util.js";
+
+// Runs a wasm module in a worker while its `emlite_val_*` calls operate on the
+// main thread's objects. Every handle lives in the main thread's handle table:
+// the worker posts each bridge call and blocks in Atomics.wait until the main
+// thread has written the result into a SharedArrayBuffer.
+//
+// Shared buffer layout: i32 state, i32 byte length, then the payload.
+const STATE_IDLE = 0;
+const STATE_DONE = 1;
+const STATE_PARTIAL = 2;
+const HEADER_BYTES = 8;
+
+const enc = new TextEncoder();
+const dec = new TextDecoder();
+
+const encode = (v) => enc.encode(JSON.stringify(v, (_, x) => plain(x)));
+const decode = (bytes) => JSON.parse(dec.decode(bytes), (_, x) => revive(x));
+
+const camel = (name) => name.replace(/_([a-z0-9])/g, (_, c) => c.toUpperCase());
+
+// Imports whose arguments and result are plain handles, numbers or callbacks
+// are forwarded to the componentHost method of the same name
+const PLAIN_ARGS = new Set(["h", "n", "f", "d"]);
+const forwarded = (name) => {
+  const [args, result] = SIGNATURES[name];
+  return (
+    (result === "h" || result === "n") && args.every((k) => PLAIN_ARGS.has(k))
+  );
+};
+
+// Imports that only touch the worker's own memory and stay local
+const LOCAL = [
+  "memory",
+  "__cxa_allocate_exception",
+  "__cxa_free_exception",
+  "__cxa_throw",
+  "__cxa_atexit",
+  "emscripten_notify_memory_growth",
+  "_msync_js",
+];
+
+/**
+ * Main-thread side of worker mode: answers the bridge calls of a WorkerEmlite
+ * running in `worker` against this thread's globals, and delivers callbacks
+ * created by the worker back to it.
+ * @param {Worker} worker - web Worker or node:worker_threads Worker
+ * @param {Object} opts
+ *        {
+ *          emlite?:     Emlite,   // main-thread instance owning the handle table
+ *          bufferSize?: Number,   // payload bytes per round trip (default 64 KiB)
+ *        }
+ * @returns {Emlite} the main-thread instance
+ */
+export function serveWorker(worker, opts = {}) {
+  const {
+    emlite = new Emlite({
+      initialPages: 1,
+      maximumPages: 1,
+      exposeHeaps: false,
+    }),
+    bufferSize = 1 << 16,
+  } = opts;
+  const sab = new SharedArrayBuffer(HEADER_BYTES + bufferSize);
+  const ctrl = new Int32Array(sab, 0, 2);
+  const data = new Uint8Array(sab, HEADER_BYTES);
+  const host = emlite.componentHost;
+  let rest = null;
+
+  // Callbacks run asynchronously in the worker, so their result is undefined
+  emlite.bindComponent({
+    "emlite:env/dyncall@0.1.0": {
+      apply: (fidx, argv, d) => {
+        worker.postMessage({ type: "emlite:callback", fidx, argv, data: d });
+        return 1;
+      },
+      emliteTarget: () => emlite.version,
+    },
+  });
+
+  const send = (bytes) => {
+    const n = Math.min(bytes.length, bufferSize);
+    data.set(bytes.subarray(0, n));
+    rest = n < bytes.length ? bytes.subarray(n) : null;
+    ctrl[1] = n;
+    Atomics.store(ctrl, 0, rest ? STATE_PARTIAL : STATE_DONE);
+    Atomics.notify(ctrl, 0);
+  };
+
+  onMessage(worker, (msg) => {
+    if (msg?.type === "emlite:call") {
+      let out;
+      try {
+        out = { v: host[msg.op](...msg.args) };
+      } catch (e) {
+        out = { e: String(e?.message ?? e) };
+      }
+      send(encode(out));
+    } else if (msg?.type === "emlite:more") {
+      send(rest);
+    }
+  });
+  worker.postMessage({ type: "emlite:init", sab });
+  return emlite;
+}
+
+/**
+ * Worker side of worker mode. Pass its `env` to the wasm module as usual:
+ * strings are decoded from the worker's memory, and every `emlite_val_*`
+ * operation is carried out on the main thread, which must call serveWorker.
+ * These imports throw:
+ * - typed array views, buffer copies, batches and CBOR, which move data
+ *   between the worker's memory and main-thread objects;
+ * - native_ptr and cpp_exception_ptr, whose pointers would be main-thread ones;
+ * - is_promise, promise_then and await;
+ * - class_begin, class_method and class_property, whose members would have to
+ *   answer synchronously.
+ */
+export class WorkerEmlite extends Emlite {
+  /**
+   * Wait for the main thread to share its channel
+   * @param {MessagePort|Worker} port - `self` in a web worker, `parentPort` in node
+   * @param {Object} opts - Emlite constructor options
+   * @returns {Promise<WorkerEmlite>}
+   */
+  static connect(port, opts = {}) {
+    return new Promise((resolve) => {
+      let emlite = null;
+      onMessage(port, (msg) => {
+        if (msg?.type === "emlite:init" && !emlite) {
+          emlite = new WorkerEmlite(port, msg.sab, opts);
+          resolve(emlite);
+        } else if (msg?.type === "emlite:callback") {
+          emlite?._runCallback(msg.fidx, msg.argv, msg.data);
+        }
+      });
+    });
+  }
+
+  constructor(port, sab, opts = {}) {
+    super(opts);
+    // Handles live on the main thread, so there's no emlite_exception_tag
+    // whose payload the worker could fill in
+    this._exceptionTag = null;
+    this._port = port;
+    this._ctrl = new Int32Array(sab, 0, 2);
+    this._data = new Uint8Array(sab, HEADER_BYTES);
+  }
+
+  _runCallback(fidx, argv, data) {
+    // dyncall.apply(0, 0, data) asks the guest to drop a closure
+    if (fidx === 0) this.exports?.emlite_callback_dtor?.(data);
+    else this.exports.__indirect_function_table.get(fidx)(argv, data);
+  }
+
+  /**
+   * Run a componentHost method on the main thread and wait for its result
+   * @param {string} op - componentHost method name
+   * @param {any[]} args
+   */
+  _call(op, args) {
+    const ctrl = this._ctrl;
+    const parts = [];
+    let total = 0;
+    this._port.postMessage({ type: "emlite:call", op, args });
+    for (;;) {
+      Atomics.wait(ctrl, 0, STATE_IDLE);
+      const state = Atomics.load(ctrl, 0);
+      const part = this._data.slice(0, ctrl[1]);
+      parts.push(part);
+      total += part.length;
+      Atomics.store(ctrl, 0, STATE_IDLE);
+      if (state === STATE_DONE) break;
+      this._port.postMessage({ type: "emlite:more" });
+    }
+    const bytes = new Uint8Array(total);
+    let off = 0;
+    for (const part of parts) {
+      bytes.set(part, off);
+      off += part.length;
+    }
+    const out = decode(bytes);
+    if ("e" in out) throw new Error(out.e);
+    return out.v;
+  }
+
+  get env() {
+    const local = super.env;
+    const remote =
+      (op) =>
+      (...args) =>
+        this._call(op, args);
+    const checked = (op, args, outPtr) => {
+      const r = this._call(op, args);
+      if (r.ok) {
+        this._ensureViewsFresh();
+        this._u32[outPtr / 4] = r.value;
+      }
+      return r.ok ? 1 : 0;
+    };
+    // Unpacks an option<u32> result the way emlite_val_iter_next reports it
+    const stored = (h, valuePtr) => {
+      if (h === undefined) return 1;
+      this._ensureViewsFresh();
+      this._u32[valuePtr / 4] = h;
+      return 0;
+    };
+    const env = {};
+    for (const [name, value] of Object.entries(local)) {
+      env[name] = LOCAL.includes(name)
+        ? value
+        : () => {
+            throw new Error(`[Emlite] ${name} is not available in worker mode`);
+          };
+    }
+    const host = this.componentHost;
+    for (const name of Object.keys(SIGNATURES))
+      if (forwarded(name) && camel(name) in host)
+        env[name] = remote(camel(name));
+    Object.assign(env, {
+      emlite_val_make_str: (ptr, len) =>
+        this._call("emliteValMakeStr", [this.cStr(ptr, len)]),
+      emlite_val_make_str_utf16: (ptr, len) =>
+        this._call("emliteValMakeStr", [this.cStrUtf16(ptr, len)]),
+      emlite_val_get_value_string: (h) =>
+        this.copyStringToWasm(this._call("emliteValGetValueString", [h])),
+      emlite_val_get_value_string_utf16: (h) =>
+        this.copyStringToWasmUtf16(this._call("emliteValGetValueString", [h])),
+      emlite_val_typeof: (h) =>
+        this.copyStringToWasm(this._call("emliteValTypeof", [h])),
+      emlite_val_obj_has_own_prop: (obj, pPtr, pLen) =>
+        this._call("emliteValObjHasOwnProp", [obj, this.cStr(pPtr, pLen)]),
+      emlite_val_iter_next: (it, valuePtr) =>
+        stored(this._call("emliteValIterNext", [it]), valuePtr),
+      emlite_val_iter_result: (result, valuePtr) =>
+        stored(this._call("emliteValIterResult", [result]), valuePtr),
+      emlite_val_symbol_for: (ptr, len) =>
+        this._call("emliteValSymbolFor", [this.cStr(ptr, len)]),
+      emlite_val_well_known_symbol: (ptr, len) =>
+        this._call("emliteValWellKnownSymbol", [this.cStr(ptr, len)]),
+      emlite_val_from_json: (ptr, len) =>
+        this._call("emliteValFromJson", [this.cStr(ptr, len)]),
+      emlite_val_to_json: (h, lenPtr) => {
+        const json = this._call("emliteValToJson", [h]);
+        const ptr = this.copyStringToWasm(json);
+        this._storeSize(lenPtr, ptr ? enc.encode(json).length : 0);
+        return ptr;
+      },
+      emlite_val_obj_call: (obj, mPtr, mLen, argv) =>
+        this._call("emliteValObjCall", [obj, this.cStr(mPtr, mLen), argv]),
+      emlite_val_obj_call_checked: (obj, mPtr, mLen, argv, outPtr) =>
+        checked(
+          "emliteValObjCallChecked",
+          [obj, this.cStr(mPtr, mLen), argv],
+          outPtr
+        ),
+      emlite_val_construct_new_checked: (ctor, argv, outPtr) =>
+        checked("emliteValConstructNewChecked", [ctor, argv], outPtr),
+      emlite_val_func_call_checked: (fn, argv, outPtr) =>
+        checked("emliteValFuncCallChecked", [fn, argv], outPtr),
+    });
+    return { ...this._memory64Imports(env), ...this._extraEnv };
+  }
+}
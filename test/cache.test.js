@@ -0,0 +1,89 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm, utimes, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { pathToFileURL } from "node:url";
+import { Emlite } from "../src/emlite.js";
+import { ModuleCache } from "../src/cache.js";
+
+// (module (import "env" "memory" (memory 1))
+//   (data (i32.const <offset>) "<text>")
+//   (func (export "emlite_target") (result i32) (i32.const <target>)))
+const OLD = Buffer.from(
+  "AGFzbQEAAAABBQFgAAF/Ag8BA2VudgZtZW1vcnkCAAEDAgEABxEBDWVtbGl0ZV90YXJnZXQAAAoH" +
+    "AQUAQecHCwsKAQBBgBALA09MRA==",
+  "base64"
+); // target 999, "OLD" at 2048
+const NEW = Buffer.from(
+  "AGFzbQEAAAABBQFgAAF/Ag8BA2VudgZtZW1vcnkCAAEDAgEABxEBDWVtbGl0ZV90YXJnZXQAAAoH" +
+    "AQUAQZAICwsKAQBBgCALA05FVw==",
+  "base64"
+); // target 1040, "NEW" at 4096
+
+const text = (em, offset) =>
+  new TextDecoder().decode(new Uint8Array(em.memory.buffer, offset, 3));
+
+async function tempDir(t) {
+  const dir = await mkdtemp(join(tmpdir(), "emlite-cache-"));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test("a cached binary for another version isn't instantiated", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  const dir = await tempDir(t);
+  const path = join(dir, "app.wasm");
+  const cache = new ModuleCache({ dir: join(dir, "cache") });
+  // Same size and modification time, so the stale entry is still hit
+  const when = new Date(2020, 0, 1);
+  await writeFile(path, OLD);
+  await utimes(path, when, when);
+  await Emlite.instantiate(path, { cache });
+  await writeFile(path, NEW);
+  await utimes(path, when, when);
+  const { emlite } = await Emlite.instantiate(path, { cache });
+  assert.equal(emlite._fromCache, false);
+  assert.equal(text(emlite, 4096), "NEW");
+  assert.equal(text(emlite, 2048), "\0\0\0");
+
+  const again = await Emlite.instantiate(path, { cache });
+  assert.equal(again.emlite._fromCache, true);
+});
+
+test("local files stay out of Cache Storage", async (t) => {
+  const dir = await tempDir(t);
+  const path = join(dir, "app.wasm");
+  await writeFile(path, NEW);
+  // Cache Storage rejects keys that aren't http(s) URLs
+  const put = async (key) => {
+    if (!/^https?:/.test(key)) throw new TypeError("unsupported scheme");
+  };
+  globalThis.caches = {
+    open: async () => ({ match: async () => undefined, put }),
+  };
+  let cache;
+  try {
+    cache = new ModuleCache();
+  } finally {
+    delete globalThis.caches;
+  }
+  const url = pathToFileURL(path);
+  assert.equal((await cache.load(url, 1040)).cached, false);
+  assert.equal((await cache.load(url, 1040)).cached, true);
+});
+
+test("hashes without a global crypto", async (t) => {
+  const desc = Object.getOwnPropertyDescriptor(globalThis, "crypto");
+  Object.defineProperty(globalThis, "crypto", {
+    value: undefined,
+    configurable: true,
+  });
+  t.after(() => Object.defineProperty(globalThis, "crypto", desc));
+  const dir = await tempDir(t);
+  const path = join(dir, "app.wasm");
+  await writeFile(path, NEW);
+  const cache = new ModuleCache({ dir: join(dir, "cache") });
+  const { hash } = await cache.load(pathToFileURL(path), 1040);
+  assert.match(hash, /^[0-9a-f]{64}$/);
+});
@@ -0,0 +1,26 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Emlite } from "../src/emlite.js";
+
+const bytesOf = async (href) =>
+  Array.from(new Uint8Array(await new Emlite().readFile(href)));
+
+test("percent escapes in a data URL decode to single bytes", async () => {
+  assert.deepEqual(
+    await bytesOf("data:application/wasm,%00asm%01%80%ff"),
+    [0x00, 0x61, 0x73, 0x6d, 0x01, 0x80, 0xff]
+  );
+  // A stray `%` is kept, other text is UTF-8
+  assert.deepEqual(
+    await bytesOf("data:,%zz%4"),
+    [0x25, 0x7a, 0x7a, 0x25, 0x34]
+  );
+  assert.deepEqual(await bytesOf("data:,é"), [0xc3, 0xa9]);
+});
+
+test("base64 data URLs may be percent-encoded", async () => {
+  assert.deepEqual(
+    await bytesOf("data:;base64,AGFz%62Q%3D%3D"),
+    [0x00, 0x61, 0x73, 0x6d]
+  );
+});
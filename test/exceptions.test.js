@@ -0,0 +1,103 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { CppException, Emlite } from "../src/emlite.js";
+
+// (module
+//   (import "env" "memory" (memory 1))
+//   (import "env" "emlite_exception_tag" (tag $e (param i32)))
+//   (import "env" "emlite_val_throw" (func $throw (param i32)))
+//   (import "env" "__cxa_throw" (func $cxa_throw (param i32 i32 i32)))
+//   (import "env" "emlite_val_take_exception" (func $take (result i32)))
+//   (global $unwound (export "unwound") (mut i32) (i32.const 0))
+//   ;; catch by tag, returning the payload
+//   (func (export "catch_tag") (param $h i32) (result i32)
+//     (try (result i32)
+//       (do (call $throw (local.get $h)) (i32.const 0))
+//       (catch $e)))
+//   ;; catch (...) { return emlite_val_take_exception(); }
+//   (func (export "catch_all") (param $h i32) (result i32)
+//     (try (result i32)
+//       (do (call $throw (local.get $h)) (i32.const 0))
+//       (catch_all (call $take))))
+//   ;; a destructor on the way out
+//   (func (export "unwind") (param $h i32)
+//     (try
+//       (do (call $throw (local.get $h)))
+//       (catch_all (global.set $unwound (i32.const 1)) (rethrow 0))))
+//   (func (export "cxa") (result i32)
+//     (try (result i32)
+//       (do (call $cxa_throw (i32.const 64) (i32.const 0) (i32.const 0))
+//         (i32.const 0))
+//       (catch $e)))
+//   (func (export "emlite_target") (result i32) (i32.const 1040)))
+const GUEST = Buffer.from(
+  "AGFzbQEAAAABFARgAX8AYAN/f38AYAABf2ABfwF/AnQFA2VudgZtZW1vcnkCAAEDZW52FGVtbGl0" +
+    "ZV9leGNlcHRpb25fdGFnBAAAA2VudhBlbWxpdGVfdmFsX3Rocm93AAADZW52C19fY3hhX3Rocm93" +
+    "AAEDZW52GWVtbGl0ZV92YWxfdGFrZV9leGNlcHRpb24AAgMGBQMDAAICBgYBfwFBAAsHQgYHdW53" +
+    "b3VuZAMACWNhdGNoX3RhZwADCWNhdGNoX2FsbAAEBnVud2luZAAFA2N4YQAGDWVtbGl0ZV90YXJn" +
+    "ZXQABwpIBQ0ABn8gABAAQQAHAAsLDgAGfyAAEABBABkQAgsLEAAGQCAAEAAZQQEkAAkACwsSAAZ/" +
+    "QcAAQQBBABABQQAHAAsLBQBBkAgL",
+  "base64"
+);
+
+const guest = () => Emlite.instantiate(GUEST);
+
+test("a guest catches what emlite_val_throw throws by the tag", async () => {
+  const { emlite, instance } = await guest();
+  const err = new Error("from JS");
+  const h = instance.exports.catch_tag(emlite.valmap.add(err));
+  assert.equal(emlite.valmap.get(h), err);
+});
+
+test("catch (...) gets the exception from emlite_val_take_exception", async () => {
+  const { emlite, instance } = await guest();
+  const h = instance.exports.catch_all(emlite.valmap.add("thrown"));
+  assert.equal(emlite.valmap.get(h), "thrown");
+  assert.equal(emlite.env.emlite_val_take_exception(), 0);
+});
+
+test("frames run their cleanup and JS gets the thrown value", async () => {
+  const { emlite, instance } = await guest();
+  const err = new Error("uncaught");
+  const unwind = emlite.wrap("unwind", { args: ["i32"] });
+  assert.throws(
+    () => unwind(emlite.valmap.add(err)),
+    (e) => e === err
+  );
+  assert.equal(instance.exports.unwound.value, 1);
+
+  // Calling the export directly leaves the wasm exception to unwrap
+  let thrown;
+  try {
+    instance.exports.unwind(emlite.valmap.add(err));
+  } catch (e) {
+    thrown = e;
+  }
+  assert.ok(thrown instanceof WebAssembly.Exception);
+  assert.equal(emlite.exceptionValue(thrown), err);
+  assert.equal(emlite.exceptionValue(thrown), err);
+});
+
+test("a C++ throw is caught in the guest as a CppException", async () => {
+  const { emlite, instance } = await guest();
+  const h = instance.exports.cxa();
+  const ex = emlite.valmap.get(h);
+  assert.ok(ex instanceof CppException);
+  assert.equal(ex.ptr, 64);
+  assert.equal(emlite.env.emlite_val_cpp_exception_ptr(h), 64);
+});
+
+test("without the tag import, throws stay plain JS throws", () => {
+  const em = new Emlite();
+  const err = new Error("plain");
+  assert.throws(
+    () => em.env.emlite_val_throw(em.valmap.add(err)),
+    (e) => e === err
+  );
+});
+
+test("a component's C++ throw unwinds to JS as a CppException", () => {
+  const host = new Emlite().componentHost;
+  assert.throws(() => host.__cxaThrow(64, 0, 0), CppException);
+  assert.throws(() => host.__cxaAllocateException(16), CppException);
+});
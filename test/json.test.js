@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Emlite } from "../src/emlite.js";
+
+const LEN = 16;
+
+// An instance whose guest allocates with a bump allocator from 1024
+function guest() {
+  const em = new Emlite();
+  let top = 1024;
+  em.exports = {
+    emlite_malloc: (size) => {
+      const ptr = top;
+      top += size;
+      return ptr;
+    },
+  };
+  const toJson = (v) => {
+    const ptr = em.env.emlite_val_to_json(em.valmap.add(v), LEN);
+    const len = new Uint32Array(em.memory.buffer, LEN, 1)[0];
+    return ptr === 0 ? null : em.cStr(ptr, len);
+  };
+  return { em, toJson };
+}
+
+test("to_json writes BigInts as $bigint objects", () => {
+  const { toJson } = guest();
+  assert.equal(toJson({ n: 12n, s: "x" }), '{"n":{"$bigint":"12"},"s":"x"}');
+});
+
+test("to_json leaves what it can't serialize as the pending exception", () => {
+  const { em, toJson } = guest();
+  assert.equal(em.env.emlite_val_take_exception(), 0);
+  const cyclic = {};
+  cyclic.self = cyclic;
+  assert.equal(toJson(cyclic), null);
+  const err = em.valmap.get(em.env.emlite_val_take_exception());
+  assert.ok(err instanceof TypeError);
+  // undefined has no text, but isn't an error
+  assert.equal(toJson(undefined), null);
+  assert.equal(em.env.emlite_val_take_exception(), 0);
+});
+
+test("from_cbor returns the error for malformed input", () => {
+  const { em } = guest();
+  // A map header promising one entry, and nothing after it
+  new Uint8Array(em.memory.buffer).set([0xa1], 512);
+  const v = em.valmap.get(em.env.emlite_val_from_cbor(512, 1));
+  assert.ok(v instanceof Error);
+});
+
+test("the component host reports the same errors", () => {
+  const em = new Emlite();
+  const host = em.componentHost;
+  const cyclic = [];
+  cyclic.push(cyclic);
+  assert.equal(host.emliteValToJson(em.valmap.add(cyclic)), undefined);
+  assert.ok(em.valmap.get(host.emliteValTakeException()) instanceof TypeError);
+  const v = em.valmap.get(host.emliteValFromCbor([0xa1]));
+  assert.ok(v instanceof Error);
+});
@@ -0,0 +1,24 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Emlite } from "../src/emlite.js";
+
+test("a rejection without on_rejected leaves no unhandled cleanup", async () => {
+  const em = new Emlite();
+  const dropped = [];
+  em.exports = { emlite_callback_dtor: (data) => dropped.push(data) };
+  const unhandled = [];
+  const onUnhandled = (e) => unhandled.push(e);
+  process.on("unhandledRejection", onUnhandled);
+  try {
+    const err = new Error("rejected");
+    const source = em.valmap.add(Promise.reject(err));
+    const h = em.env.emlite_val_promise_then(source, 0, 0, 42);
+    // The guest gets the derived promise, which rejects with the error
+    await assert.rejects(em.valmap.get(h), (e) => e === err);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  } finally {
+    process.off("unhandledRejection", onUnhandled);
+  }
+  assert.deepEqual(unhandled, []);
+  assert.deepEqual(dropped, [42]);
+});
@@ -0,0 +1,100 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Emlite, SandboxError } from "../src/emlite.js";
+
+const GLOBAL = 4;
+
+// A sandboxed instance driven through its imports, as a guest would
+function guest(sandbox) {
+  const em = new Emlite({ sandbox });
+  const env = em.env;
+  let top = 1024;
+  const str = (s) => {
+    const bytes = new TextEncoder().encode(s);
+    new Uint8Array(em.memory.buffer).set(bytes, top);
+    const ptr = top;
+    top += bytes.length;
+    return [ptr, bytes.length];
+  };
+  const val = (v) => em.valmap.add(v);
+  const argv = (...args) => val(args.map(val));
+  const get = (obj, name) => em.valmap.get(env.emlite_val_get(obj, val(name)));
+  const call = (obj, method, ...args) =>
+    em.valmap.get(env.emlite_val_obj_call(obj, ...str(method), argv(...args)));
+  const funcCall = (fn, ...args) =>
+    em.valmap.get(env.emlite_val_func_call(val(fn), argv(...args)));
+  return { em, env, val, argv, str, get, call, funcCall };
+}
+
+const page = () => {
+  let cookie = "session=SECRET";
+  return {
+    get cookie() {
+      return cookie;
+    },
+    set cookie(v) {
+      cookie = v;
+    },
+    read: () => cookie,
+  };
+};
+
+test("denied keys can't be read through the legacy accessor methods", () => {
+  const document = page();
+  const g = guest({ root: { document }, deny: ["cookie"] });
+  const doc = g.val(document);
+  assert.ok(g.get(GLOBAL, "document"));
+  for (const method of [
+    "__lookupGetter__",
+    "__lookupSetter__",
+    "__defineGetter__",
+    "__defineSetter__",
+  ]) {
+    const ret = g.call(doc, method, "cookie", () => "forged");
+    assert.ok(ret instanceof SandboxError, method);
+  }
+  assert.equal(document.read(), "session=SECRET");
+});
+
+test("__proto__ can't be reached through __lookupGetter__", () => {
+  const g = guest({ root: { o: {} } });
+  const o = g.val(g.get(GLOBAL, "o"));
+  assert.ok(g.call(o, "__lookupGetter__", "__proto__") instanceof SandboxError);
+});
+
+test("the constructors list applies to calls that compile code", () => {
+  const AsyncFunction = (async () => {}).constructor;
+  const g = guest({ root: { Function, AsyncFunction }, constructors: [] });
+  assert.ok(g.funcCall(Function, "return 1+1") instanceof SandboxError);
+  assert.ok(g.funcCall(AsyncFunction, "return 1") instanceof SandboxError);
+  const fn = g.val(Function);
+  for (const method of ["call", "apply", "bind"])
+    assert.ok(g.call(fn, method, null, "return 1") instanceof SandboxError);
+  // Passed to a function that calls it
+  const arr = g.val(["return 1"]);
+  assert.ok(g.call(arr, "map", Function) instanceof SandboxError);
+
+  const { env, em } = g;
+  const out = 512;
+  assert.equal(
+    env.emlite_val_func_call_checked(g.val(Function), g.argv("x"), out),
+    0
+  );
+  assert.ok(
+    em.valmap.get(env.emlite_val_take_exception()) instanceof SandboxError
+  );
+});
+
+test("allowed constructors and other functions can still be called", () => {
+  const g = guest({ root: { Function }, constructors: [Function] });
+  assert.equal(g.funcCall(Function, "return 1+1")(), 2);
+  const h = guest({ root: {}, constructors: [] });
+  assert.equal(
+    h.funcCall((a, b) => a + b, 2, 3),
+    5
+  );
+  assert.deepEqual(
+    h.call(h.val([1, 2]), "map", (x) => x * 2),
+    [2, 4]
+  );
+});
@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MessageChannel } from "node:worker_threads";
+import { serveThread } from "../src/threads.js";
+
+// (module (import "env" "missing" (func)))
+const UNLINKABLE = Buffer.from(
+  "AGFzbQEAAAABBAFgAAACDwEDZW52B21pc3NpbmcAAA==",
+  "base64"
+);
+// (module (import "env" "memory" (memory 1 1 shared))
+//   (func (export "wasi_thread_start") (param i32 i32)
+//     (if (local.get 1) (then unreachable))))
+const THREAD = Buffer.from(
+  "AGFzbQEAAAABBgFgAn9/AAIQAQNlbnYGbWVtb3J5AgMBAQMCAQAHFQERd2FzaV90aHJlYWRf" +
+    "c3RhcnQAAAoKAQgAIAEEQAALCw==",
+  "base64"
+);
+
+// Sends a thread to serveThread and resolves to its thread-exit message
+async function runThread(bytes, startArg) {
+  const { port1, port2 } = new MessageChannel();
+  serveThread(port2);
+  const exited = new Promise((resolve) =>
+    port1.on("message", (msg) => {
+      if (msg.type === "emlite:thread-exit") resolve(msg);
+    })
+  );
+  port1.postMessage({
+    type: "emlite:thread",
+    module: await WebAssembly.compile(bytes),
+    memory: new WebAssembly.Memory({ initial: 1, maximum: 1, shared: true }),
+    counter: new Int32Array(new SharedArrayBuffer(4)),
+    tid: 1,
+    startArg,
+  });
+  try {
+    return await exited;
+  } finally {
+    port1.close();
+  }
+}
+
+test(
+  "a thread that returns exits without an error",
+  { timeout: 10000 },
+  async () => {
+    const msg = await runThread(THREAD, 0);
+    assert.equal(msg.tid, 1);
+    assert.equal(msg.error, undefined);
+  }
+);
+
+test(
+  "a thread that traps still exits, with the error",
+  { timeout: 10000 },
+  async () => {
+    const msg = await runThread(THREAD, 1);
+    assert.match(msg.error, /unreachable/);
+  }
+);
+
+test(
+  "a thread that can't be linked still exits, with the error",
+  { timeout: 10000 },
+  async () => {
+    const msg = await runThread(UNLINKABLE, 0);
+    assert.match(msg.error, /unresolved imports/);
+  }
+);
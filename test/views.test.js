@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Emlite } from "../src/emlite.js";
+
+const U8 = 1;
+
+test("a view handle follows memory growth", () => {
+  const em = new Emlite({ initialPages: 1, maximumPages: 4 });
+  const env = em.env;
+  const h = env.emlite_val_make_typed_array_view(16, 4, U8);
+  em.memory.grow(1);
+  new Uint8Array(em.memory.buffer)[17] = 42;
+  const v = em.valmap.get(env.emlite_val_get(h, em.valmap.add(1)));
+  assert.equal(v, 42);
+  assert.equal(em.valmap.get(h).buffer, em.memory.buffer);
+});
+
+test("views stop being followed once released", () => {
+  const em = new Emlite({ initialPages: 1, maximumPages: 4 });
+  const env = em.env;
+  const h = env.emlite_val_make_typed_array_view(16, 4, U8);
+  env.emlite_val_inc_ref(h);
+  env.emlite_val_dec_ref(h);
+  assert.equal(em._memViews.size, 1);
+  env.emlite_val_dec_ref(h);
+  assert.equal(em._memViews.size, 0);
+
+  env.emlite_val_make_typed_array_view(16, 4, U8);
+  env.emlite_reset_object_map();
+  assert.equal(em._memViews.size, 0);
+});
@@ -0,0 +1,90 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Worker } from "node:worker_threads";
+import { serveWorker } from "../src/worker.js";
+
+// The worker side, as a guest would drive it. Each result is what a step
+// returned, or the message it threw.
+const GUEST = `
+const { parentPort, workerData } = require("node:worker_threads");
+import(workerData.url).then(async ({ WorkerEmlite }) => {
+  const em = await WorkerEmlite.connect(parentPort);
+  let top = 1024;
+  em.exports = {
+    emlite_malloc: (n) => {
+      const ptr = top;
+      top += n;
+      return ptr;
+    },
+  };
+  const env = em.env;
+  const str = (s) => [em.copyStringToWasm(s), s.length];
+  const run = (fn) => {
+    try {
+      return { v: fn() };
+    } catch (e) {
+      return { e: e.message };
+    }
+  };
+  const big = "0123456789abcdef".repeat(12800);
+  const results = {
+    double: run(() => {
+      const o = env.emlite_val_new_object();
+      const k = env.emlite_val_make_int(3);
+      env.emlite_val_set(o, k, env.emlite_val_make_double(2.5));
+      return env.emlite_val_get_value_double(env.emlite_val_get(o, k));
+    }),
+    big: run(() => {
+      const h = env.emlite_val_make_str(...str(big));
+      return em.cStr(env.emlite_val_get_value_string(h), big.length) === big;
+    }),
+    thrown: run(() => env.emlite_val_get(0, env.emlite_val_make_str(...str("x")))),
+    bigThrown: run(() =>
+      env.emlite_val_get(0, env.emlite_val_make_str(...str("k".repeat(3000))))
+    ),
+    unavailable: run(() => env.emlite_val_batch(0, 0, 0)),
+  };
+  parentPort.postMessage({ type: "results", results });
+});
+`;
+
+function runGuest(opts) {
+  const worker = new Worker(GUEST, {
+    eval: true,
+    workerData: { url: new URL("../src/worker.js", import.meta.url).href },
+  });
+  serveWorker(worker, opts);
+  return new Promise((resolve, reject) => {
+    worker.on("error", reject);
+    worker.on("message", (msg) => {
+      if (msg?.type !== "results") return;
+      worker.terminate();
+      resolve(msg.results);
+    });
+  });
+}
+
+test("bridge calls run on the main thread", { timeout: 20000 }, async () => {
+  const results = await runGuest();
+  assert.deepEqual(results.double, { v: 2.5 });
+  assert.deepEqual(results.big, { v: true });
+});
+
+test(
+  "results larger than the buffer come in parts",
+  { timeout: 20000 },
+  async () => {
+    const results = await runGuest({ bufferSize: 1024 });
+    assert.deepEqual(results.big, { v: true });
+    assert.match(results.bigThrown.e, /k{3000}/);
+  }
+);
+
+test("errors reach the worker as exceptions", { timeout: 20000 }, async () => {
+  const results = await runGuest();
+  assert.match(results.thrown.e, /Cannot read properties of null/);
+  assert.equal(
+    results.unavailable.e,
+    "[Emlite] emlite_val_batch is not available in worker mode"
+  );
+});